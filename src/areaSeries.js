@@ -0,0 +1,203 @@
+/*
+ Area and line rendering of the stacked offsets computed by initData.
+
+ Each series (legend entry) becomes a path through the centers of its bars. The bars
+ themselves are kept as transparent hit areas, so hovering, selections and text on
+ bars work the same way as for bar charts.
+
+ Stacked areas can use a baseline other than zero: silhouette (centered) and
+ wiggle (streamgraph). The expand offset is the 100% normalization done by initData.
+ */
+
+import d3 from 'd3';
+
+export const CHART_TYPE_BAR = 'B';
+export const CHART_TYPE_AREA = 'A';
+export const CHART_TYPE_LINE = 'L';
+
+export const OFFSET_ZERO = 'zero';
+export const OFFSET_SILHOUETTE = 'silhouette';
+export const OFFSET_WIGGLE = 'wiggle';
+export const OFFSET_EXPAND = 'expand';
+
+export function isStreamOffset(offset) {
+  return offset == OFFSET_SILHOUETTE || offset == OFFSET_WIGGLE;
+}
+
+// d3 v3 has no vertical monotone interpolation, use linear for horizontal charts
+function getInterpolation(g) {
+  if (g.orientation != "V" && g.interpolate == "monotone") {
+    return "linear";
+  }
+  return g.interpolate || "linear";
+}
+
+// Does stack e contain values of a series that is drawn in the given slot
+function hostsSlot(e, slot) {
+  if (e.slot === undefined || slot === undefined) {
+    return true;
+  }
+  return slot >= e.slot && slot < e.slot + (e.slotSpan || 1);
+}
+
+function point(g, d, y0, y1) {
+  return {
+    pos: g.barPos(d) + g.barWidth(d) / 2,
+    y0: y0,
+    y1: y1
+  };
+}
+
+export function seriesPoints(g) {
+  if (g.nDims == 1) {
+    return [{
+      series: g.allSeries[0],
+      points: g.flatData.map(function (d) { return point(g, d, d.offset, d.offset + d.qNum); })
+    }];
+  }
+
+  return g.allSeries.map(function (series, idx) {
+    const template = g.flatData.find(function (d) { return d.series == series; });
+    const slot = template ? template.slot : undefined;
+    const points = [];
+    g.data.forEach(function (e) {
+      if (!hostsSlot(e, slot)) {
+        return;
+      }
+      const d = e.values.find(function (v) { return v.series == series; });
+      if (d) {
+        points.push(point(g, d, d.offset, d.offset + d.qNum));
+        return;
+      }
+      // Missing value, draw at the top of the series stacked before it
+      let base = e.baseline || 0;
+      e.values.forEach(function (v) {
+        if (g.allSeries.indexOf(v.series) < idx && v.qNum >= 0) {
+          base = Math.max(base, v.offset + v.qNum);
+        }
+      });
+      points.push(point(g, { dim1: e.dim1, slot: slot }, base, base));
+    });
+    return { series: series, points: points };
+  });
+}
+
+export function updateAreas(g, tDelay, tDuration) {
+  const vertical = g.orientation == "V";
+  const pos = function (p) { return p.pos; };
+  const y0 = function (p) { return g.mScale(p.y0); };
+  const y1 = function (p) { return g.mScale(p.y1); };
+  const interpolation = getInterpolation(g);
+
+  const area = d3.svg.area().interpolate(interpolation);
+  const line = d3.svg.line().interpolate(interpolation);
+  if (vertical) {
+    area.x(pos).y0(y0).y1(y1);
+    line.x(pos).y(y1);
+  } else {
+    area.y(pos).x0(y0).x1(y1);
+    line.y(pos).x(y1);
+  }
+
+  const data = seriesPoints(g);
+  const color = function (d) { return g.seriesColor(d.series); };
+  const container = g.svg.select(".ldwareas");
+
+  const areas = container.selectAll(".ldwarea")
+    .data(g.chartType == CHART_TYPE_AREA ? data : [], function (d) { return d.series; });
+  areas.exit().remove();
+  areas.enter()
+    .append("path")
+    .attr("class", "ldwarea")
+    .style("opacity", "0");
+  areas.transition()
+    .delay(tDelay)
+    .duration(tDuration)
+    .ease(g.ease)
+    .style("opacity", "1")
+    .style("fill", color)
+    .attr("d", function (d) { return area(d.points); });
+
+  const lines = container.selectAll(".ldwline")
+    .data(g.chartType == CHART_TYPE_LINE || g.showStroke ? data : [], function (d) { return d.series; });
+  lines.exit().remove();
+  lines.enter()
+    .append("path")
+    .attr("class", "ldwline")
+    .style("opacity", "0");
+  lines.transition()
+    .delay(tDelay)
+    .duration(tDuration)
+    .ease(g.ease)
+    .style("opacity", "1")
+    .style("stroke", g.chartType == CHART_TYPE_LINE ? color : function (d) { return d3.rgb(color(d)).darker(); })
+    .attr("d", function (d) { return line(d.points); });
+
+  const points = [];
+  if (g.showPoints) {
+    data.forEach(function (d) {
+      d.points.forEach(function (p, i) {
+        points.push({ key: d.series + "," + i, series: d.series, point: p });
+      });
+    });
+  }
+  const markers = container.selectAll(".ldwpoint")
+    .data(points, function (d) { return d.key; });
+  markers.exit().remove();
+  markers.enter()
+    .append("circle")
+    .attr("class", "ldwpoint")
+    .attr("r", 3)
+    .style("opacity", "0");
+  markers.transition()
+    .delay(tDelay)
+    .duration(tDuration)
+    .ease(g.ease)
+    .style("opacity", "1")
+    .style("fill", color)
+    .attr(vertical ? "cx" : "cy", function (d) { return d.point.pos; })
+    .attr(vertical ? "cy" : "cx", function (d) { return y1(d.point); });
+}
+
+// Recompute the offsets of the stacks using a stream offset, negative values are treated as zero
+export function applyStreamOffset(g, offset) {
+  const slots = d3.nest()
+    .key(function (e) { return e.slot === undefined ? '' : e.slot; })
+    .entries(g.data);
+
+  slots.forEach(function (slot) {
+    const stacks = slot.values;
+    const series = g.allSeries.filter(function (s) {
+      return stacks.some(function (e) {
+        return e.values.some(function (v) { return v.series == s; });
+      });
+    });
+    const layers = series.map(function (s) {
+      return stacks.map(function (e, i) {
+        const value = e.values.find(function (v) { return v.series == s; });
+        if (value) {
+          value.qNum = Math.max(0, value.qNum);
+        }
+        return { x: i, y: value ? value.qNum : 0, value: value };
+      });
+    });
+    if (!layers.length) {
+      return;
+    }
+    d3.layout.stack().offset(offset)(layers);
+
+    stacks.forEach(function (e, i) {
+      e.baseline = layers[0][i].y0;
+      e.offsetPos = layers[layers.length - 1][i].y0 + layers[layers.length - 1][i].y;
+      e.offsetNeg = Math.min(0, e.baseline);
+      e.totalNeg = 0;
+    });
+    layers.forEach(function (layer) {
+      layer.forEach(function (d) {
+        if (d.value) {
+          d.value.offset = d.y0;
+        }
+      });
+    });
+  });
+}
@@ -0,0 +1,36 @@
+/*
+ Bar colors from a measure attribute expression ("color by expression").
+
+ Qlik color functions such as RGB() or ARGB() return a dual whose number is the
+ ARGB value of the color, other expressions may return a CSS color string.
+ Colors are returned as hex strings, so text color decisions can use them.
+ */
+
+import d3 from 'd3';
+
+export function getAttributeColor(cell) {
+  const attrExps = cell && cell.qAttrExps;
+  const value = attrExps && attrExps.qValues[0];
+  if (!value) {
+    return undefined;
+  }
+  if (Number.isFinite(value.qNum)) {
+    const argb = value.qNum >>> 0;
+    return d3.rgb((argb >> 16) & 255, (argb >> 8) & 255, argb & 255).toString();
+  }
+  if (value.qText && value.qText != "-") {
+    return d3.rgb(value.qText).toString();
+  }
+  return undefined;
+}
+
+// Color of each series, if all of its bars have the same expression color
+export function seriesColors(flatData, allSeries) {
+  return allSeries.map(function (series) {
+    const colors = d3.set(flatData
+      .filter(function (d) { return d.series == series; })
+      .map(function (d) { return d.color || ""; }))
+      .values();
+    return colors.length == 1 && colors[0] ? colors[0] : undefined;
+  });
+}
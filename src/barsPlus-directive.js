@@ -19,6 +19,8 @@ import d3 from 'd3';
 import qvangular from 'qvangular';
 import ldwBarsPlus from './ldw-barsPlus';
 import { getColorSchemas } from './colorSchemas';
+import { getThemeStyle } from './themeStyle';
+import { needsPaging, fetchPages } from './paging';
 import './barsPlus.less';
 
 qvangular.directive("barsPlus", [
@@ -38,17 +40,19 @@ qvangular.directive("barsPlus", [
           g.id = l.qInfo.qId;
           g.inSelections = false;
           g.selectionMode = l.selectionMode;
+          g.rangeSelect = p.rangeSelect !== false;
 
           // number of defined dimensions and measures
           g.defDims = l.qHyperCube.qDimensionInfo.length;
           g.defMeas = l.qHyperCube.qMeasureInfo.length;
+          g.totalRows = l.qHyperCube.qSize.qcy;
 
           if (g.defDims == 0)
             g.axisTitleD = p.axisTitleD;
           else
             g.axisTitleD = l.qHyperCube.qDimensionInfo[0].qFallbackTitle;
 
-          if (g.defDims == 0 || (g.defDims == 1 && g.defMeas > 1)) {
+          if (g.defDims == 0 || g.defMeas > 1) {
             g.measures = [];
             for (var i = 0; i < g.defMeas; i++) {
               var t = l.qHyperCube.qMeasureInfo[i].qFallbackTitle;
@@ -58,24 +62,49 @@ qvangular.directive("barsPlus", [
           }
           else
             g.axisTitleM = l.qHyperCube.qMeasureInfo[0].qFallbackTitle;
+          g.numFormats = l.qHyperCube.qMeasureInfo.map(function (e) { return e.qNumFormat; });
 
           // Presentation
           g.orientation = p.orientation;
+          g.chartType = p.chartType;
+          g.interpolate = p.interpolate;
+          g.showPoints = p.showPoints;
+          g.showStroke = p.showStroke;
+          g.areaOffset = p.areaOffset;
+          g.barLayout = p.barLayout;
+          g.divergingNeutral = p.divergingNeutral;
+          g.waterfallIncColor = p.waterfallIncColor;
+          g.waterfallDecColor = p.waterfallDecColor;
+          g.waterfallTotColor = p.waterfallTotColor;
+          g.waterfallTotal = p.waterfallTotal;
+          g.waterfallTotalLabel = p.waterfallTotalLabel;
           g.normalized = p.normalized;
           g.showDeltas = p.showDeltas;
           g.barGap = p.barSpacing;
           g.outerGap = p.outerGap;
           g.gridHeight = p.gridHeight;
           g.backgroundColor = p.backgroundColor;
+          g.trellisColumns = p.trellisColumns;
+          g.trellisScale = p.trellisScale;
 
           // Colors and Legend
           g.singleColor = p.singleColor;
           g.color = p.color;
           g.colorSchema = p.colorSchema;
+          g.persistentColors = p.persistentColors;
+          g.valueColors = p.valueColors;
+          g.colorBy = p.colorBy;
+          g.colorGradient = p.colorGradient;
+          g.colorValueMode = p.colorValueMode;
+          g.colorThresholds = p.colorThresholds;
+          g.patterns = p.patterns;
           g.showLegend = p.showLegend;
           g.legendPosition = p.legendPosition;
           g.legendSize = p.legendSize;
           g.legendSpacing = p.legendSpacing;
+          g.legendClick = p.legendClick;
+          g.hiddenSeries = p.hiddenSeries;
+          g.legendValues = p.legendValues;
 
           // Dimension Axis
           g.labelTitleD = p.labelTitleD;
@@ -114,6 +143,43 @@ qvangular.directive("barsPlus", [
           g.transitionDelay = p.transitionDelay;
           g.transitionDuration = p.transitionDuration;
           g.ease = p.ease;
+          // Data paging
+          g.dataPaging = p.dataPaging;
+          g.maxRows = p.maxRows;
+        };
+
+        // Fetch rows beyond the initial data page, resolves to false if a newer request has been made
+        // onPage is called with each incremental page while the request is current
+        var pagingRequest = 0;
+        $scope.fetchData = function (onPage) {
+          var hyperCube = $scope.layout.qHyperCube;
+          var backendApi = $scope.backendApi || (g.self && g.self.backendApi);
+          var request = ++pagingRequest;
+          var setRows = function (matrix) {
+            if (request != pagingRequest) return false;
+            g.rawData = matrix;
+            g.totalRows = hyperCube.qSize.qcy;
+            return true;
+          };
+          return fetchPages(backendApi, hyperCube, g.dataPaging, g.maxRows, function (matrix) {
+            if (onPage && setRows(matrix)) onPage();
+          }).then(setRows);
+        };
+
+        var pageData = function (update) {
+          var draw = function () {
+            g.initData();
+            if (update) g.updateBars();
+            g.refreshChart();
+            update = true; // Later pages update the bars drawn so far
+          };
+          $scope.fetchData(draw)
+            .then(function (isCurrent) {
+              if (isCurrent) draw();
+            })
+            .catch(function (error) {
+              console.error(error); // eslint-disable-line no-console
+            });
         };
 
         $scope.initProps();
@@ -123,18 +189,30 @@ qvangular.directive("barsPlus", [
         g.width = $element.parent().width();
         g.height = $element.parent().height();
         g.rawData = $scope.layout.qHyperCube.qDataPages[0].qMatrix;
+        g.totalRows = $scope.layout.qHyperCube.qSize.qcy;
 
         g.initData();
         g.refreshChart();
+        if (needsPaging($scope.layout.qHyperCube, g.dataPaging, g.maxRows)) {
+          pageData(false);
+        }
 
-        // watch for when data changes
+        // watch for when data changes, e.g. selections, and page in any remaining rows
         $scope.$watch(function () { return $scope.layout.qHyperCube.qDataPages[0].qMatrix; }
           , function (newValue, oldValue) {
             if (newValue != oldValue) {
+              // Draw the first page right away, the status overlay tells the rows are truncated
               g.rawData = newValue;
+              g.totalRows = $scope.layout.qHyperCube.qSize.qcy;
               g.initData();
               g.updateBars();
               g.refreshChart();
+              if (needsPaging($scope.layout.qHyperCube, g.dataPaging, g.maxRows)) {
+                pageData(true);
+              }
+              else {
+                pagingRequest++; // discard any outstanding paging request
+              }
             }
           });
         // watch for when chart is resized
@@ -159,21 +237,11 @@ qvangular.directive("barsPlus", [
             g.refreshChart();
           }
         });
-        // watch for selection count going to zero in standard selection mode
-        // to partially address QS bug where clear selections button does not reset element classes
-        // this does not completely work if there were existing selections on field prior to entering
-        // selection mode
-        //					$scope.$watch(
-        //						function() {
-        //								return $scope.layout.qHyperCube.qDimensionInfo[0].qStateCounts.qSelected;
-        //						}
-        //						,function(newValue, oldValue) {
-        //
-        //							if (newValue != oldValue && newValue == 0) {
-        //								d3.selectAll(".selected").classed("selected",false);
-        //							}
-        //						}
-        //					);
+        $scope.$watch(() => JSON.stringify(getThemeStyle()), (newValue, oldValue) => {
+          if (newValue !== oldValue) {
+            g.refreshChart();
+          }
+        });
         // watch for when selection mode enabled
         $scope.$watch(
           function () {
@@ -182,9 +250,7 @@ qvangular.directive("barsPlus", [
           , function (newValue, oldValue) {
             if (newValue != oldValue) {
               g.inSelections = newValue || false;
-              if (!g.inSelections) {
-                g.component.selectAll(".selected").classed("selected", false);
-              }
+              g.updateStates();
             }
           }
         );
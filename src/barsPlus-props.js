@@ -16,7 +16,10 @@
    *
   */
 
-import { getDefaultColorSchema, getDefaultSingleColor, getColorSchemas } from './colorSchemas';
+import {
+  getDefaultColorSchema, getDefaultSingleColor, getColorSchemas, getDefaultGradientSchema, getGradientSchemas
+} from './colorSchemas';
+import { DEFAULT_INCREASE_COLOR, DEFAULT_DECREASE_COLOR } from './waterfall';
 
 function isDataConfigured ({ qHyperCubeDef: { qDimensions, qMeasures } }) {
   return (
@@ -27,7 +30,15 @@ function isDataConfigured ({ qHyperCubeDef: { qDimensions, qMeasures } }) {
     ));
 }
 
-function canHaveLegend ({ props: { singleColor }, qHyperCubeDef: { qDimensions, qMeasures } }) {
+function isWaterfallData ({ qHyperCubeDef: { qDimensions, qMeasures } }) {
+  return qDimensions.length == 1 && qMeasures.length == 1;
+}
+
+function isWaterfall (data) {
+  return data.props.barLayout == "W" && isWaterfallData(data);
+}
+
+function hasSeries ({ props: { singleColor }, qHyperCubeDef: { qDimensions, qMeasures } }) {
   return (
     (
       (
@@ -41,6 +52,26 @@ function canHaveLegend ({ props: { singleColor }, qHyperCubeDef: { qDimensions,
   );
 }
 
+function isTrellis ({ qHyperCubeDef: { qDimensions } }) {
+  return qDimensions.length == 3;
+}
+
+function isMarimekko (data) {
+  return data.props.barLayout == "M" && isDataConfigured(data);
+}
+
+function isAreaChart (data) {
+  return (data.props.chartType == "A" || data.props.chartType == "L") && !isWaterfall(data) && !isMarimekko(data);
+}
+
+function isColorByValue (data) {
+  return data.props.colorBy == "V" && !isWaterfall(data);
+}
+
+function canHaveLegend (data) {
+  return hasSeries(data) || isWaterfall(data) || isColorByValue(data);
+}
+
 function isShowingTexts (data) {
   return data.props.showTexts != "N";
 }
@@ -53,10 +84,29 @@ const definition ={
       uses: "data",
       items:{
         dimensions:{
-          disabledRef: ""
+          disabledRef: "",
+          items: {
+            subtotalFlag: {
+              type: "string",
+              label: "Waterfall subtotal flag",
+              ref: "qAttributeExpressions.0.qExpression",
+              expression: "always",
+              defaultValue: "",
+              show: (dimension, handler) => handler && handler.properties && isWaterfall(handler.properties)
+            }
+          }
         },
         measures: {
-          disabledRef: ""
+          disabledRef: "",
+          items: {
+            colorExpression: {
+              type: "string",
+              label: "Color expression",
+              ref: "qAttributeExpressions.0.qExpression",
+              expression: "always",
+              defaultValue: ""
+            }
+          }
         }
       }
     },
@@ -69,6 +119,26 @@ const definition ={
         dataHandling: {
           uses: "dataHandling"
         },
+        dataPaging: {
+          type: "string",
+          component: "dropdown",
+          label: "Data paging",
+          ref: "props.dataPaging",
+          defaultValue: "I",
+          options: [
+            { value: "I", label: "Incremental" },
+            { value: "A", label: "All at once" },
+            { value: "N", label: "Initial page only" }
+          ]
+        },
+        maxRows: {
+          type: "number",
+          label: "Maximum number of rows",
+          ref: "props.maxRows",
+          defaultValue: 50000,
+          expression: "optional",
+          show: data => data.props.dataPaging != "N"
+        },
         selectionMode: {
           type: "string",
           component: "dropdown",
@@ -79,6 +149,17 @@ const definition ={
             { value: "CONFIRM", label: "Standard" },
             { value: "QUICK", label: "Quick" }
           ]
+        },
+        rangeSelect: {
+          type: "boolean",
+          component: "switch",
+          label: "Range selection",
+          ref: "props.rangeSelect",
+          defaultValue: true,
+          options: [
+            { value: true, label: "Drag to select" },
+            { value: false, label: "Click only" }
+          ]
         }
       }
     },
@@ -105,6 +186,121 @@ const definition ={
                 properties.props.labelStyleM = prevLabelStyleD;
               }
             },
+            chartType: {
+              type: "string",
+              component: "dropdown",
+              label: "Chart type",
+              ref: "props.chartType",
+              defaultValue: "B",
+              options: [
+                { value: "B", label: "Bars" },
+                { value: "A", label: "Area" },
+                { value: "L", label: "Line" }
+              ],
+              show: data => !isWaterfall(data) && !isMarimekko(data)
+            },
+            interpolate: {
+              type: "string",
+              component: "dropdown",
+              label: "Interpolation",
+              ref: "props.interpolate",
+              defaultValue: "linear",
+              options: [
+                { value: "linear", label: "Linear" },
+                { value: "monotone", label: "Monotone" },
+                { value: "step", label: "Step" }
+              ],
+              show: isAreaChart
+            },
+            showPoints: {
+              type: "boolean",
+              component: "switch",
+              label: "Point markers",
+              ref: "props.showPoints",
+              defaultValue: false,
+              options: [
+                { value: true, label: "Show points" },
+                { value: false, label: "No points" }
+              ],
+              show: isAreaChart
+            },
+            showStroke: {
+              type: "boolean",
+              component: "switch",
+              label: "Area outline",
+              ref: "props.showStroke",
+              defaultValue: true,
+              options: [
+                { value: true, label: "Outlined" },
+                { value: false, label: "No outline" }
+              ],
+              show: data => isAreaChart(data) && data.props.chartType == "A"
+            },
+            areaOffset: {
+              type: "string",
+              component: "dropdown",
+              label: "Area baseline",
+              ref: "props.areaOffset",
+              defaultValue: "zero",
+              options: [
+                { value: "zero", label: "Zero" },
+                { value: "silhouette", label: "Centered (silhouette)" },
+                { value: "wiggle", label: "Streamgraph (wiggle)" },
+                { value: "expand", label: "100% (expand)" }
+              ],
+              show: data => data.props.chartType == "A" && isDataConfigured(data)
+                && data.props.barLayout != "G" && data.props.barLayout != "D" && data.props.barLayout != "M"
+            },
+            barLayout: {
+              type: "string",
+              component: "dropdown",
+              label: "Bar layout",
+              ref: "props.barLayout",
+              defaultValue: "S",
+              options: function (data) {
+                if (isWaterfallData(data)) {
+                  return [
+                    { value: "S", label: "Standard" },
+                    { value: "W", label: "Waterfall" }
+                  ];
+                }
+                return [
+                  { value: "S", label: "Stacked" },
+                  { value: "G", label: "Grouped" },
+                  { value: "D", label: "Diverging" },
+                  { value: "M", label: "Marimekko" }
+                ];
+              },
+              show: data => isDataConfigured(data) || isWaterfallData(data)
+            },
+            divergingNeutral: {
+              type: "string",
+              label: "Neutral category (empty for middle)",
+              ref: "props.divergingNeutral",
+              defaultValue: "",
+              expression: "optional",
+              show: data => data.props.barLayout == "D" && isDataConfigured(data)
+            },
+            waterfallTotal: {
+              type: "boolean",
+              component: "switch",
+              label: "Total bar",
+              ref: "props.waterfallTotal",
+              defaultValue: true,
+              options: [
+                { value: true, label: "Show total" },
+                { value: false, label: "No total" }
+              ],
+              show: isWaterfall
+            },
+            waterfallTotalLabel: {
+              type: "string",
+              label: "Total bar label",
+              ref: "props.waterfallTotalLabel",
+              defaultValue: "Total",
+              expression: "optional",
+              show: data => isWaterfall(data) && data.props.waterfallTotal
+            },
             normalized: {
               type: "boolean",
               component: "switch",
@@ -115,7 +311,7 @@ const definition ={
                 { value: false, label: "Not 100%" },
                 { value: true, label: "100% bars" }
               ],
-              show: isDataConfigured
+              show: data => isDataConfigured(data) && !isMarimekko(data)
             },
             showDeltas: {
               type: "boolean",
@@ -127,7 +323,7 @@ const definition ={
                 { value: false, label: "Standard bars" },
                 { value: true, label: "Bars with connectors" }
               ],
-              show: isDataConfigured
+              show: data => isDataConfigured(data) || isWaterfall(data)
             },
             barSpacing: {
               type: "number",
@@ -185,12 +381,44 @@ const definition ={
               defaultValue: "white",
               expression: "optional"
             },
+            trellisColumns: {
+              type: "number",
+              label: "Trellis columns (0 for automatic)",
+              ref: "props.trellisColumns",
+              defaultValue: 0,
+              expression: "optional",
+              show: isTrellis
+            },
+            trellisScale: {
+              type: "string",
+              component: "dropdown",
+              label: "Trellis measure axis",
+              ref: "props.trellisScale",
+              defaultValue: "S",
+              options: [
+                { value: "S", label: "Shared" },
+                { value: "I", label: "Independent" }
+              ],
+              show: isTrellis
+            },
           }
         },
         colors: {
           type: "items",
           label: "Colors and Legend",
           items: {
+            colorBy: {
+              type: "string",
+              component: "dropdown",
+              label: "Color by",
+              ref: "props.colorBy",
+              defaultValue: "S",
+              options: [
+                { value: "S", label: "Dimension" },
+                { value: "V", label: "Measure value" }
+              ],
+              show: data => !isWaterfall(data)
+            },
             singleColor: {
               type: "boolean",
               component: "switch",
@@ -201,7 +429,7 @@ const definition ={
                 { value: true, label: "Single Color" },
                 { value: false, label: "Multi-color" }
               ],
-              show : true
+              show: data => !isColorByValue(data)
             },
             colorSchema: {
               label: 'Colorschema',
@@ -210,7 +438,27 @@ const definition ={
               component: 'item-selection-list',
               defaultValue: getDefaultColorSchema,
               items: getColorSchemas,
-              show: ({ props }) => !props.singleColor
+              show: data => !data.props.singleColor && !isColorByValue(data)
+            },
+            persistentColors: {
+              type: "boolean",
+              component: "switch",
+              label: "Persistent colors",
+              ref: "props.persistentColors",
+              defaultValue: false,
+              options: [
+                { value: true, label: "By value" },
+                { value: false, label: "By data order" }
+              ],
+              show: data => !data.props.singleColor && !isColorByValue(data)
+            },
+            valueColors: {
+              type: "string",
+              label: "Value colors (e.g. North=#4477aa; South=orange)",
+              ref: "props.valueColors",
+              defaultValue: "",
+              expression: "optional",
+              show: data => !data.props.singleColor && !isColorByValue(data) && data.props.persistentColors
             },
             color: {
               ref: 'props.color',
@@ -219,7 +467,74 @@ const definition ={
               component: 'color-picker',
               dualOutput: true,
               defaultValue: getDefaultSingleColor,
-              show: ({ props }) => props.singleColor
+              show: data => data.props.singleColor && !isColorByValue(data)
+            },
+            colorGradient: {
+              label: 'Gradient',
+              type: 'string',
+              ref: "props.colorGradient",
+              component: 'item-selection-list',
+              defaultValue: () => getDefaultGradientSchema().value,
+              items: getGradientSchemas,
+              show: isColorByValue
+            },
+            colorValueMode: {
+              type: "string",
+              component: "dropdown",
+              label: "Value colors",
+              ref: "props.colorValueMode",
+              defaultValue: "G",
+              options: [
+                { value: "G", label: "Gradient" },
+                { value: "T", label: "Threshold bands" }
+              ],
+              show: isColorByValue
+            },
+            colorThresholds: {
+              type: "string",
+              label: "Threshold limits (comma separated)",
+              ref: "props.colorThresholds",
+              defaultValue: "",
+              expression: "optional",
+              show: data => isColorByValue(data) && data.props.colorValueMode == "T"
+            },
+            patterns: {
+              type: "boolean",
+              component: "switch",
+              label: "Pattern fills",
+              ref: "props.patterns",
+              defaultValue: false,
+              options: [
+                { value: false, label: "Off" },
+                { value: true, label: "On" }
+              ]
+            },
+            waterfallIncColor: {
+              ref: 'props.waterfallIncColor',
+              label: 'Increase color',
+              type: 'object',
+              component: 'color-picker',
+              dualOutput: true,
+              defaultValue: DEFAULT_INCREASE_COLOR,
+              show: isWaterfall
+            },
+            waterfallDecColor: {
+              ref: 'props.waterfallDecColor',
+              label: 'Decrease color',
+              type: 'object',
+              component: 'color-picker',
+              dualOutput: true,
+              defaultValue: DEFAULT_DECREASE_COLOR,
+              show: isWaterfall
+            },
+            waterfallTotColor: {
+              ref: 'props.waterfallTotColor',
+              label: 'Total color',
+              type: 'object',
+              component: 'color-picker',
+              dualOutput: true,
+              defaultValue: getDefaultSingleColor,
+              show: isWaterfall
             },
             showLegend: {
               type: "boolean",
@@ -275,6 +590,32 @@ const definition ={
                 data.props.showLegend
                 && (data.props.legendPosition == "T" || data.props.legendPosition == "B")
                 && canHaveLegend(data)
+            },
+            legendClick: {
+              type: "string",
+              component: "dropdown",
+              label: "Legend click",
+              ref: "props.legendClick",
+              defaultValue: "S",
+              options: [
+                { value: "S", label: "Select values" },
+                { value: "H", label: "Hide or show series" }
+              ],
+              show: data => data.props.showLegend && hasSeries(data) && !isWaterfall(data) && !isColorByValue(data)
+            },
+            legendValues: {
+              type: "string",
+              component: "dropdown",
+              label: "Legend values",
+              ref: "props.legendValues",
+              defaultValue: "N",
+              options: [
+                { value: "N", label: "None" },
+                { value: "T", label: "Total" },
+                { value: "P", label: "Share of total" },
+                { value: "H", label: "Value at hovered bar" }
+              ],
+              show: data => data.props.showLegend && hasSeries(data) && !isWaterfall(data) && !isColorByValue(data)
             }
           }
         },
@@ -411,10 +752,7 @@ const definition ={
               show: function (data) {
                 return ((
                   data.qHyperCubeDef.qDimensions.length == 0
-                  || (
-                    data.qHyperCubeDef.qDimensions.length == 1
-                    && data.qHyperCubeDef.qMeasures.length > 1
-                  )
+                  || data.qHyperCubeDef.qMeasures.length > 1
                 )
                   && (data.props.labelTitleM == 'B' || data.props.labelTitleM == 'T'));
               }
@@ -560,7 +898,7 @@ const definition ={
                 { value: "P", label: "Percent" }
               ],
               show: function (data) {
-                return ~"BA".indexOf(data.props.showTexts) && data.props.normalized;
+                return ~"BA".indexOf(data.props.showTexts) && (data.props.normalized || isMarimekko(data));
               }
             },
             showDim2: {
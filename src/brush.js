@@ -0,0 +1,119 @@
+/*
+ Range selection by dragging a brush.
+
+ A brush on the plotting area collects the bars that intersect the swept rectangle,
+ a brush on the dimension axis collects the bars of the swept dimension values. The
+ collected values are selected with one call per dimension, in QUICK and in CONFIRM
+ selection mode. The plotting area brush lies below the bars, so clicks and hovers on
+ bars work as before and a drag starts on the background. Touches on the plotting area
+ are left to the browser, so a swipe pans the sheet.
+ */
+
+import d3 from 'd3';
+
+// Dimension values (qElemNumber) of bars, per dimension
+function barElements(g, bars, withDim2) {
+  const elems = [[], []];
+  bars.forEach(function (d) {
+    const e = Array.isArray(d.qElemNumber) ? d.qElemNumber : [d.qElemNumber];
+    e.forEach(function (elem, dim) {
+      if (elem >= 0 && (dim == 0 || withDim2) && elems[dim].indexOf(elem) == -1) {
+        elems[dim].push(elem);
+      }
+    });
+  });
+  return elems;
+}
+
+// Select the values of the bars, one call per dimension
+export function selectBars(g, bars, withDim2) {
+  if (!g.self || g.editMode || !bars.length) return;
+  const elems = barElements(g, bars, withDim2 && g.defDims >= 2);
+  elems.forEach(function (values, dim) {
+    if (!values.length) return;
+    if (g.selectionMode == "QUICK") {
+      g.self.backendApi.selectValues(dim, values, false);
+    }
+    else if (g.selectionMode == "CONFIRM") {
+      g.self.selectValues(dim, values, false);
+    }
+  });
+}
+
+function overlaps(from, to, start, end) {
+  return Math.max(from, start) < Math.min(to, end);
+}
+
+// Bars that intersect a rectangle, or a range along the dimension axis
+function barsInExtent(g, extent, vertical, axisOnly) {
+  const bars = [];
+  g.svg.selectAll(".ldwbar").each(function (d) {
+    const x = +this.getAttribute("x"), y = +this.getAttribute("y");
+    const width = +this.getAttribute("width"), height = +this.getAttribute("height");
+    const inX = overlaps(x, x + width, extent[0][0], extent[1][0]);
+    const inY = overlaps(y, y + height, extent[0][1], extent[1][1]);
+    if (axisOnly ? (vertical ? inX : inY) : inX && inY) {
+      bars.push(d);
+    }
+  });
+  return bars;
+}
+
+function addBrush(g, parent, width, height, vertical, axisOnly) {
+  const brush = d3.svg.brush();
+  if (!axisOnly || vertical) {
+    brush.x(d3.scale.identity().domain([0, width]));
+  }
+  if (!axisOnly || !vertical) {
+    brush.y(d3.scale.identity().domain([0, height]));
+  }
+  const brushGroup = parent.append("g")
+    .attr("class", axisOnly ? "ldwbrush ldwaxisbrush" : "ldwbrush");
+  brush.on("brushend", function () {
+    if (!brush.empty()) {
+      let extent = brush.extent();
+      if (axisOnly) {
+        // A brush along one axis has a one dimensional extent
+        extent = vertical ? [[extent[0], 0], [extent[1], 0]] : [[0, extent[0]], [0, extent[1]]];
+      }
+      selectBars(g, barsInExtent(g, extent, vertical, axisOnly), !axisOnly);
+    }
+    else if (axisOnly) {
+      // A click on the axis without a drag selects the dimension value under the pointer
+      const point = d3.mouse(parent.node());
+      const at = vertical ? point[0] : point[1];
+      const bar = barsInExtent(g, vertical ? [[at - 0.5, 0], [at + 0.5, 0]] : [[0, at - 0.5], [0, at + 0.5]],
+        vertical, true)[0];
+      if (bar) {
+        g.selectDim1(bar.dim1);
+      }
+    }
+    brushGroup.call(brush.clear());
+  });
+  brushGroup.call(brush);
+  return brushGroup;
+}
+
+// Brush on the plotting area, below the bars
+export function createPlotBrush(g, innerWidth, innerHeight) {
+  if (!g.rangeSelect) return;
+  addBrush(g, g.svg, innerWidth, innerHeight, g.orientation == "V", false)
+    .on("touchstart.brush", null); // A swipe on the plotting area pans, range selection by touch is on the axis
+}
+
+// Brush over the labels of the dimension axis
+export function createAxisBrush(g, axisGroup, innerWidth, innerHeight) {
+  if (!g.rangeSelect) return;
+  const vertical = g.orientation == "V";
+  const brushGroup = addBrush(g, axisGroup, innerWidth, innerHeight, vertical, true);
+  if (vertical) {
+    brushGroup.selectAll("rect")
+      .attr("height", g.xAxisHeight);
+  }
+  else {
+    // Along a vertical axis the brush is left of the axis line
+    brushGroup.attr("transform", "translate(" + -g.yAxisWidth + ",0)");
+    brushGroup.selectAll("rect")
+      .attr("width", g.yAxisWidth);
+  }
+}
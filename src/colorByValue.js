@@ -0,0 +1,156 @@
+/*
+ Color bars by their measure value.
+
+ Values are mapped either to a gradient from the theme, or to threshold bands whose
+ colors are sampled from the gradient. With a diverging gradient (odd number of
+ colors) and values on both sides of zero, the middle color is placed at zero.
+ The legend shows the gradient, or the bands, along a measure axis.
+ */
+
+import d3 from 'd3';
+import { getGradientSchemaByName } from './colorSchemas';
+
+export const COLOR_BY_SERIES = 'S';
+export const COLOR_BY_VALUE = 'V';
+export const COLOR_MODE_GRADIENT = 'G';
+export const COLOR_MODE_THRESHOLDS = 'T';
+
+const LEGEND_MARGIN = 10;
+const LEGEND_BAR = 12;
+
+export function isColorByValue(g) {
+  return g.colorBy == COLOR_BY_VALUE && !g.waterfall;
+}
+
+// Threshold limits from a comma separated list, in increasing order
+export function parseThresholds(text) {
+  return String(text || "")
+    .split(",")
+    .map(function (e) { return parseFloat(e); })
+    .filter(function (e) { return Number.isFinite(e); })
+    .sort(d3.ascending);
+}
+
+// Colors evenly spaced along a gradient
+function sampleGradient(colors, n) {
+  const gradient = d3.scale.linear()
+    .domain(colors.map(function (e, i) { return colors.length > 1 ? i / (colors.length - 1) : 0; }))
+    .range(colors)
+    .interpolate(d3.interpolateRgb);
+  return d3.range(n).map(function (i) { return gradient(n > 1 ? i / (n - 1) : 0); });
+}
+
+function gradientDomain(extent, n) {
+  const min = extent[0], max = extent[1];
+  const mid = (n - 1) / 2;
+  if (min < 0 && max > 0 && n % 2 == 1) {
+    return d3.range(n).map(function (i) {
+      return i < mid ? min * (mid - i) / mid : max * (i - mid) / mid;
+    });
+  }
+  return d3.range(n).map(function (i) { return n > 1 ? min + (max - min) * i / (n - 1) : min; });
+}
+
+// Scale from values to colors, data are the bars whose values determine the extent
+export function valueColorScale(g, data) {
+  const colors = getGradientSchemaByName(g.colorGradient).colors;
+  let extent = d3.extent(data, function (d) { return Number.isFinite(d.value) ? d.value : undefined; });
+  if (extent[0] === undefined) {
+    extent = [0, 0];
+  }
+
+  let scale;
+  if (g.colorValueMode == COLOR_MODE_THRESHOLDS) {
+    const limits = parseThresholds(g.colorThresholds);
+    scale = d3.scale.threshold()
+      .domain(limits)
+      .range(sampleGradient(colors, limits.length + 1));
+    if (limits.length) {
+      extent = [Math.min(extent[0], limits[0]), Math.max(extent[1], limits[limits.length - 1])];
+    }
+  }
+  else {
+    scale = d3.scale.linear()
+      .domain(gradientDomain(extent, colors.length))
+      .range(colors)
+      .interpolate(d3.interpolateRgb);
+  }
+  scale.extent = extent;
+  return scale;
+}
+
+export function createColorLegend(g) {
+  const legendPadding = 10;
+  const vertical = g.lgn.use == "L" || g.lgn.use == "R";
+  const scale = g.vScale;
+  const extent = scale.extent;
+  const length = Math.max(0, (vertical ? g.lgn.height : g.lgn.width) - 2 * LEGEND_MARGIN);
+  const axisScale = d3.scale.linear()
+    .domain(extent)
+    .range(vertical ? [length, 0] : [0, length]);
+
+  const svg = g.component
+    .append("div")
+    .attr("id", "ldwlegend")
+    .style("transform", `translate(${g.lgn.x - legendPadding}px, ${g.lgn.y - legendPadding}px)`)
+    .style("height", g.lgn.height + "px")
+    .style("width", g.lgn.width + "px")
+    .append("svg")
+    .attr("class", "ldwcolorlegend")
+    .attr("width", g.lgn.width)
+    .attr("height", g.lgn.height)
+    .append("g")
+    .attr("transform", "translate(" + (vertical ? "0," + LEGEND_MARGIN : LEGEND_MARGIN + ",0") + ")");
+
+  // Bands are drawn as rectangles, a gradient as one rectangle with a gradient fill
+  let bands;
+  if (scale.invertExtent) {
+    bands = scale.range().map(function (color) {
+      const band = scale.invertExtent(color);
+      return {
+        color: color,
+        from: band[0] === undefined ? extent[0] : Math.max(extent[0], band[0]),
+        to: band[1] === undefined ? extent[1] : Math.min(extent[1], band[1])
+      };
+    });
+  }
+  else {
+    const gradientId = g.id + "-ldwgradient";
+    const gradient = svg.append("defs")
+      .append("linearGradient")
+      .attr("id", gradientId)
+      .attr("x1", "0").attr("y1", vertical ? "1" : "0")
+      .attr("x2", vertical ? "0" : "1").attr("y2", "0");
+    gradient.selectAll("stop")
+      .data(scale.domain())
+      .enter()
+      .append("stop")
+      .attr("offset", function (d) { return extent[1] > extent[0] ? (d - extent[0]) / (extent[1] - extent[0]) : 0; })
+      .attr("stop-color", function (d) { return scale(d); });
+    bands = [{ color: "url(#" + gradientId + ")", from: extent[0], to: extent[1] }];
+  }
+
+  svg.selectAll("rect")
+    .data(bands)
+    .enter()
+    .append("rect")
+    .attr(vertical ? "x" : "y", 0)
+    .attr(vertical ? "y" : "x", function (d) { return Math.min(axisScale(d.from), axisScale(d.to)); })
+    .attr(vertical ? "width" : "height", LEGEND_BAR)
+    .attr(vertical ? "height" : "width", function (d) { return Math.abs(axisScale(d.to) - axisScale(d.from)); })
+    .style("fill", function (d) { return d.color; });
+
+  const axis = d3.svg.axis()
+    .scale(axisScale)
+    .orient(vertical ? "right" : "bottom")
+    .ticks(vertical ? 5 : 4)
+    .tickFormat(g.measureTickFormat())
+    .tickSize(4);
+  if (scale.invertExtent) {
+    axis.tickValues(extent.concat(scale.domain()).filter(function (d, i, a) { return a.indexOf(d) == i; }));
+  }
+  svg.append("g")
+    .attr("class", "ldwaxis")
+    .attr("transform", "translate(" + (vertical ? LEGEND_BAR + ",0" : "0," + LEGEND_BAR) + ")")
+    .call(axis);
+}
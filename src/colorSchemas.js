@@ -1,4 +1,5 @@
 import qlik from 'qlik';
+import { updateThemeStyle } from './themeStyle';
 
 const defaultSingleColor = {
   index: 6,
@@ -8,7 +9,23 @@ const defaultColorSchema = {
   colors: ['#999999', '#333333']
 };
 
+const defaultGradientSchemas = [
+  {
+    label: 'Sequential gradient',
+    component: 'color-scale',
+    value: 'Sequential gradient',
+    colors: ['#e5eff8', '#4477aa']
+  },
+  {
+    label: 'Diverging gradient',
+    component: 'color-scale',
+    value: 'Diverging gradient',
+    colors: ['#3d52a1', '#f7f7f7', '#ae1c3e']
+  }
+];
+
 let colorSchemas = [];
+let gradientSchemas = [];
 
 export function getDefaultSingleColor () {
   return defaultSingleColor;
@@ -47,9 +64,33 @@ export function updateColorSchemas (component) {
           };
         });
       colorSchemas = schemas;
+      updateThemeStyle(qTheme);
+
+      const scales = qTheme.properties.scales || [];
+      gradientSchemas = scales
+        .filter(scale => scale.type === 'gradient')
+        .map(scale => ({
+          label: scale.name,
+          component: 'color-scale',
+          value: scale.name,
+          colors: scale.scale
+        }));
     });
 }
 
 export function getColorSchemas () {
   return colorSchemas;
 }
+
+export function getGradientSchemas () {
+  return gradientSchemas.length ? gradientSchemas : defaultGradientSchemas;
+}
+
+export function getDefaultGradientSchema () {
+  return getGradientSchemas()[0];
+}
+
+export function getGradientSchemaByName (name) {
+  const gradientSchema = getGradientSchemas().find(schema => schema.label === name);
+  return gradientSchema || getDefaultGradientSchema();
+}
@@ -0,0 +1,138 @@
+/*
+ Color parsing and WCAG contrast.
+
+ Colors may be hex (3, 4, 6 or 8 digits), rgb(a), hsl(a) or named colors.
+ Translucent colors are blended over the background before contrast is computed.
+ Contrast ratios follow WCAG 2.0, text should have a ratio of at least 4.5 (AA).
+ */
+
+import d3 from 'd3';
+
+const CONTRAST_AA = 4.5;
+
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+const BLACK = { r: 0, g: 0, b: 0, a: 1 };
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function parseChannel(text, max) {
+  const value = parseFloat(text);
+  return /%\s*$/.test(text) ? value * max / 100 : value;
+}
+
+function parseHex(hex) {
+  const digits = hex.length <= 4
+    ? hex.split("").map(function (e) { return e + e; })
+    : hex.match(/../g);
+  const values = digits.map(function (e) { return parseInt(e, 16); });
+  return {
+    r: values[0],
+    g: values[1],
+    b: values[2],
+    a: values.length > 3 ? values[3] / 255 : 1
+  };
+}
+
+// Color as {r, g, b, a}, or null if it can not be parsed
+function parseColor(color) {
+  if (color && typeof color === "object" && color.color) {
+    color = color.color; // Color picker value
+  }
+  if (typeof color !== "string") {
+    return null;
+  }
+  const text = color.trim().toLowerCase();
+  if (text == "transparent") {
+    return { r: 0, g: 0, b: 0, a: 0 };
+  }
+  let match = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(text);
+  if (match) {
+    return parseHex(match[1]);
+  }
+  match = /^(rgba?|hsla?)\((.*)\)$/.exec(text);
+  if (match) {
+    const args = match[2].split(/\s*[,/]\s*|\s+/).filter(function (e) { return e; });
+    if (args.length < 3) {
+      return null;
+    }
+    const a = args.length > 3 ? clamp(parseChannel(args[3], 1), 0, 1) : 1;
+    if (match[1].charAt(0) == "r") {
+      return {
+        r: clamp(parseChannel(args[0], 255), 0, 255),
+        g: clamp(parseChannel(args[1], 255), 0, 255),
+        b: clamp(parseChannel(args[2], 255), 0, 255),
+        a: a
+      };
+    }
+    const rgb = d3.hsl(parseFloat(args[0]), parseFloat(args[1]) / 100, parseFloat(args[2]) / 100).rgb();
+    return { r: rgb.r, g: rgb.g, b: rgb.b, a: a };
+  }
+  // Named colors, d3 parses unknown names as black
+  const rgb = d3.rgb(text);
+  if (rgb.r || rgb.g || rgb.b || text == "black") {
+    return { r: rgb.r, g: rgb.g, b: rgb.b, a: 1 };
+  }
+  return null;
+}
+
+function blend(color, background) {
+  return {
+    r: color.r * color.a + background.r * (1 - color.a),
+    g: color.g * color.a + background.g * (1 - color.a),
+    b: color.b * color.a + background.b * (1 - color.a),
+    a: 1
+  };
+}
+
+function opaque(color, background) {
+  const bg = parseColor(background);
+  const base = bg && bg.a > 0 ? blend(bg, WHITE) : WHITE;
+  const c = parseColor(color);
+  return c ? blend(c, base) : base;
+}
+
+function luminance(c) {
+  const channel = function (value) {
+    const v = value / 255;
+    return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+  };
+  return 0.2126 * channel(c.r) + 0.7152 * channel(c.g) + 0.0722 * channel(c.b);
+}
+
+function ratio(c1, c2) {
+  const l1 = luminance(c1), l2 = luminance(c2);
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+function toHex(c) {
+  return d3.rgb(Math.round(c.r), Math.round(c.g), Math.round(c.b)).toString();
+}
+
+// Black or white, whichever contrasts most with a fill color
+export function contrastText(fill, background) {
+  const c = opaque(fill, background);
+  return ratio(c, WHITE) >= ratio(c, BLACK) ? "white" : "black";
+}
+
+// The color itself if it contrasts enough with the background, else the color darkened or lightened
+export function ensureContrast(color, background, minRatio) {
+  const min = minRatio || CONTRAST_AA;
+  if (!parseColor(color)) {
+    return contrastText(background);
+  }
+  const bg = opaque(background);
+  const c = opaque(color, background);
+  if (ratio(c, bg) >= min) {
+    return color;
+  }
+  const target = ratio(WHITE, bg) >= ratio(BLACK, bg) ? WHITE : BLACK;
+  for (let step = 1; step <= 10; step++) {
+    const mixed = blend(Object.assign({}, c, { a: 1 - step / 10 }), target);
+    if (ratio(mixed, bg) >= min) {
+      return toHex(mixed);
+    }
+  }
+  return toHex(target);
+}
@@ -0,0 +1,66 @@
+/*
+ Diverging stacked bars, e.g. for Likert scale survey data.
+
+ The dim2 values before the neutral category extend to the negative side and the
+ values after it to the positive side. The neutral category itself is split across
+ the zero line. Without a configured neutral category the middle of the dim2 list
+ is used; with an even number of categories there is no neutral category.
+ The totals shown at the ends of a bar are the sums of the categories on each side,
+ both as magnitudes, without the neutral category.
+ */
+
+import d3 from 'd3';
+
+// Position of the neutral category in the list of dim2 values, may be between two values
+export function getCenter(allDim2, neutral) {
+  const index = neutral ? allDim2.indexOf(neutral) : -1;
+  return index >= 0 ? index : (allDim2.length - 1) / 2;
+}
+
+// Set offsets of the values of one stack, values are in the order of allDim2
+// Returns the extent of the stack (posT, negT) and the totals of each side (totalPos, totalNeg)
+export function divergeValues(values, allDim2, center, normalized) {
+  const position = function (e) { return allDim2.indexOf(e.dim2); };
+  let neutral = 0, posT = 0, negT = 0, totalPos = 0, totalNeg = 0;
+
+  values.forEach(function (e) {
+    e.qNum = Math.abs(e.qNum);
+    if (position(e) == center) {
+      neutral = e.qNum;
+    }
+    else if (position(e) > center) {
+      totalPos += e.qNum;
+    }
+    else {
+      totalNeg += e.qNum;
+    }
+  });
+
+  // Stack outwards from the neutral category
+  let pos = neutral / 2;
+  values.filter(function (e) { return position(e) >= center; }).forEach(function (e) {
+    e.offset = position(e) == center ? -neutral / 2 : pos;
+    if (position(e) > center) {
+      pos += e.qNum;
+    }
+  });
+  posT = pos;
+
+  pos = -neutral / 2;
+  values.filter(function (e) { return position(e) < center; }).reverse().forEach(function (e) {
+    pos -= e.qNum;
+    e.offset = pos;
+  });
+  negT = pos;
+
+  if (normalized) {
+    const total = posT - negT;
+    values.forEach(function (e) {
+      e.offset = total ? e.offset / total : 0;
+      e.qNum = total ? e.qNum / total : 0;
+      e.qTextPct = d3.format(".1%")(e.qNum);
+    });
+  }
+
+  return { posT, negT, totalPos, totalNeg };
+}
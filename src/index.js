@@ -24,6 +24,7 @@
 import './barsPlus-directive';
 import props from './barsPlus-props';
 import { updateColorSchemas } from './colorSchemas';
+import { getMasterValueColors } from './valueColors';
 import { overrideD3FormatPrefix } from './numerical-abbrevation';
 import qlik from 'qlik';
 
@@ -49,20 +50,14 @@ export default {
       uses: "dimensions",
       min: 0,
       max: function(nMeasures) {
-        if (nMeasures > 5) {
-          return 0;
-        }
-        return nMeasures < 2 ? 2 : 1;
+        return nMeasures > 5 ? 0 : 3;
       }
     },
     measures: {
       uses: "measures",
       min: 1,
       max: function(nDimensions) {
-        if (nDimensions == 0) {
-          return 10;
-        }
-        return nDimensions == 1 ? 5 : 1;
+        return nDimensions == 0 ? 10 : 5;
       }
     }
   },
@@ -84,12 +79,18 @@ export default {
     self.$scope.g.self = self; // Save reference for call to backendApi
     self.$scope.g.editMode = (self.options.interactionState == 2);
 
-    return updateColorSchemas(this)
-      .then(() => {
-        if (self.$scope.g.editMode) {
+    return Promise.all([updateColorSchemas(this), getMasterValueColors(this, layout)])
+      .then(([, masterColors]) => {
+        const g = self.$scope.g;
+        const colorsChanged = JSON.stringify(masterColors) !== JSON.stringify(g.masterColors || {});
+        g.masterColors = masterColors;
+        if (g.editMode) {
           self.$scope.initProps();
-          self.$scope.g.initData();
-          self.$scope.g.refreshChart();
+          g.initData();
+          g.refreshChart();
+        }
+        else if (colorsChanged && g.component) {
+          g.refreshChart();
         }
       })
       .catch(error => {
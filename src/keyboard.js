@@ -0,0 +1,215 @@
+/*
+ Keyboard navigation and accessibility.
+
+ The bars and delta polygons of a chart are one stop in the tab order. The arrow keys
+ move the focus along the dimension axis between the stacks or groups of the first
+ dimension, and across the measure axis between the segments of a stack and then the
+ deltas to the next stack. Enter or Space selects the focused bar like a click, with
+ Ctrl or Shift its series, and Escape cancels the selections. Bars, legend entries and
+ delta polygons have a role and a label with the text of their tooltip or legend entry.
+ A live region announces the focused item to screen readers. The tooltip and the
+ announcement are only for keyboard focus, not for the focus a click gives.
+ */
+
+import d3 from 'd3';
+
+// Keys that move the focus, by orientation: [dimension axis, measure axis] steps
+const MOVES = {
+  V: { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowDown: [0, -1], ArrowUp: [0, 1] },
+  H: { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] }
+};
+
+const CHART_NAMES = { B: "Bar chart", A: "Area chart", L: "Line chart" };
+
+function isDelta(d) {
+  return d.dim1p !== undefined;
+}
+
+function itemKey(d) {
+  return isDelta(d) ? "delta," + d.dim1p + "," + d.dim1c + "," + d.series : d.dim1 + "," + d.series;
+}
+
+function itemLabel(g, d) {
+  return (isDelta(d) ? g.deltaTooltip(d) : g.barTooltip(d)).join(": ");
+}
+
+function chartName(g) {
+  if (g.waterfall) return "Waterfall chart";
+  if (g.mekko) return "Marimekko chart";
+  return CHART_NAMES[g.chartType] || CHART_NAMES.B;
+}
+
+// Current bars and delta polygons, without those that are being removed
+function navigable(g) {
+  return g.svg.selectAll(".ldwbar, .ldwdelta")
+    .filter(function (d) {
+      return d && (isDelta(d) ? (g.deltas || []).indexOf(d) != -1 : g.flatData.indexOf(d) != -1);
+    });
+}
+
+// Nodes of the current items, one array per value of the first dimension, in axis order
+// The bars of a stack come first, then the deltas from the stack to the next one
+function barGrid(g) {
+  const byDim1 = {};
+  navigable(g).each(function (d) {
+    const dim1 = isDelta(d) ? d.dim1p : d.dim1;
+    (byDim1[dim1] = byDim1[dim1] || []).push(this);
+  });
+  Object.keys(byDim1).forEach(function (dim1) {
+    byDim1[dim1].sort(function (a, b) {
+      return isDelta(d3.select(a).datum()) - isDelta(d3.select(b).datum());
+    });
+  });
+  return g.data
+    .map(function (d) { return byDim1[d.dim1]; })
+    .filter(function (nodes) { return nodes && nodes.length; });
+}
+
+// The bar to focus after a key press, null if the focus stays
+function nextBar(g, node, key) {
+  const grid = barGrid(g);
+  let slot = -1, segment = -1;
+  grid.forEach(function (nodes, i) {
+    const j = nodes.indexOf(node);
+    if (j != -1) {
+      slot = i;
+      segment = j;
+    }
+  });
+  if (slot == -1) return null;
+  if (key == "Home" || key == "End") {
+    return grid[key == "Home" ? 0 : grid.length - 1][0];
+  }
+  const move = (MOVES[g.orientation] || MOVES.V)[key];
+  if (!move) return null;
+  const nodes = grid[slot + move[0]];
+  if (!nodes) return null;
+  if (move[0]) {
+    // Stay on the same series in the next stack, else on the same segment
+    const series = d3.select(node).datum().series;
+    const same = nodes.filter(function (n) { return d3.select(n).datum().series === series; })[0];
+    return same || nodes[Math.min(segment, nodes.length - 1)];
+  }
+  return nodes[segment + move[1]] || null;
+}
+
+function focusBar(g, node) {
+  g.svg.selectAll(".ldwbar, .ldwdelta").attr("tabindex", "-1");
+  d3.select(node).attr("tabindex", "0");
+  node.focus();
+}
+
+// Announce a text to screen readers
+export function announce(g, text) {
+  g.component.select(".ldwlive")
+    .text(text);
+}
+
+// Live region for announcements, with the tooltip of the chart
+export function createLiveRegion(g) {
+  g.component.append("div")
+    .attr("class", "ldwlive")
+    .attr("role", "status")
+    .attr("aria-live", "polite");
+}
+
+// Add keyboard handling to a selection of bars or delta polygons, to be used with selection.call
+export function addBarKeys(bars, g) {
+  bars
+    .on("mousedown.ldwkeys", function () {
+      // The focus event of a click follows the mousedown right away
+      g.pointerFocus = true;
+      setTimeout(function () { g.pointerFocus = false; }, 0);
+    })
+    .on("focus", function (d) {
+      g.focusKey = itemKey(d);
+      g.keyboardFocus = !g.pointerFocus;
+      g.pointerFocus = false;
+      if (!g.keyboardFocus) return;
+      if (!isDelta(d)) {
+        g.showBarTooltip(this, d, 0);
+      }
+      announce(g, itemLabel(g, d));
+    })
+    .on("blur", function () {
+      if (g.keyboardFocus) {
+        g.hideBarTooltip();
+      }
+      g.keyboardFocus = false;
+    })
+    .on("keydown", function (d) {
+      const event = d3.event;
+      if (g.editMode) return;
+      if (event.key == "Enter" || event.key == " ") {
+        if (isDelta(d)) return; // Deltas can not be selected
+        if (event.ctrlKey || event.metaKey || event.shiftKey) {
+          g.selectSeries(d.series);
+        }
+        else {
+          g.selectBar(d);
+        }
+      }
+      else if (event.key == "Escape") {
+        g.hideBarTooltip();
+        const selections = g.self && g.self.$scope.selectionsApi;
+        if (g.inSelections && selections) {
+          selections.cancel();
+        }
+      }
+      else {
+        const next = nextBar(g, this, event.key);
+        if (!next) return;
+        focusBar(g, next);
+      }
+      event.preventDefault();
+    });
+}
+
+/**
+ * Roles, labels and tab stops of the bars and delta polygons, after they are updated
+ * The focused bar keeps the tab stop, else the first bar has it
+ */
+export function updateAccessibility(g) {
+  if (!g.svg) return;
+  d3.select(g.svg.node().ownerSVGElement)
+    .attr("role", "group")
+    .attr("aria-label", chartName(g));
+  g.svg.selectAll(".ldwbar")
+    .attr("role", "button");
+  g.svg.selectAll(".ldwdelta")
+    .attr("role", "img");
+  let tabStop = null;
+  g.svg.selectAll(".ldwbar, .ldwdelta")
+    .attr("tabindex", "-1")
+    .attr("aria-label", function (d) { return d ? itemLabel(g, d) : null; });
+  navigable(g).each(function (d) {
+    if (!tabStop || itemKey(d) === g.focusKey) {
+      tabStop = this;
+    }
+  });
+  if (tabStop) {
+    d3.select(tabStop).attr("tabindex", "0");
+  }
+}
+
+// Add keyboard handling and a role to new legend entries, to be used with selection.call
+export function addLegendKeys(items, g) {
+  items
+    .attr("role", "button")
+    .attr("tabindex", "0")
+    .on("keydown", function (e) {
+      const key = d3.event.key;
+      if (key == "Enter" || key == " ") {
+        d3.event.preventDefault();
+        d3.select(this).on("click").call(this, e);
+      }
+    });
+}
+
+// Labels of the legend entries, the full name of the entry with its value
+export function updateLegendLabels(items) {
+  items.attr("aria-label", function (series) {
+    const value = d3.select(this).select(".ldwlgnvalue");
+    return value.empty() || !value.text() ? series : series + ": " + value.text();
+  });
+}
@@ -25,21 +25,42 @@
  Presentation Properties
 
  orientation		Orientation: H - Horizontal, V - Vertical
+ chartType			Chart type: B - bars, A - area, L - line
+ interpolate		Area/line interpolation: linear, monotone, step
+ showPoints			Whether to show point markers on areas/lines
+ showStroke			Whether to outline areas
+ areaOffset			Baseline of stacked areas: zero, silhouette, wiggle, expand (100%)
+ barLayout			Layout of dim2 values: S - stacked, G - grouped (side by side), W - waterfall, D - diverging,
+					M - marimekko (band width proportional to total)
+ divergingNeutral	Neutral dim2 value of diverging bars, empty for the middle value
  normalized			Whether 100% bars
  showDeltas			Whether to show bar connectors (delta quadrangles)
  barGap				Spacing between bars, 0 - no space, 1 - no bars (area graph)
  outerGap			Spacing before first bar and after last bar
  gridHeight			Height of grid relative to highest bar
  backgroundColor	Grid background color
+ trellisColumns		Number of columns of trellis panels, 0 for automatic
+ trellisScale		Measure axis of trellis panels: S - shared, I - independent
 
  Colors and Legend
 
  colorScheme		Named color scheme
+ persistentColors	Whether the color of a dimension value is independent of the other values
+ valueColors		Value to color map, e.g. "North=#4477aa; South=orange"
+ colorBy			Color bars by: S - series, V - measure value
+ colorGradient		Named gradient for colors by measure value
+ colorValueMode		Colors by measure value: G - gradient, T - threshold bands
+ colorThresholds	Comma separated threshold limits
  singleColor		Whether to use single color for 1-dimensional bars
+ patterns			Whether to draw a pattern over the color of each series
  showLegend			Whether to show the legend
  legendPosition		Legend position: T - top, R - right, B - bottom, L - left
  legendSize			Legend size: N - narrow, M - medium, W - wide
  legendSpacing		Legend spacing: N - narrow, M - medium, W - wide
+ legendClick		Legend click: S - select values, H - hide or show series
+ hiddenSeries		Series hidden by clicking the legend, kept in the soft properties
+ legendValues		Value next to legend entries: N - none, T - total, P - share of total,
+					H - value at the hovered dimension value
 
  Dimension Axis
 
@@ -87,6 +108,7 @@
  defDims			Defined number of dimensions
  defMeas			Defined number of measures
  measures			Array of measure names
+ numFormats			Array of number formats (qNumFormat) of the measures
 
  UI-determined Properties
 
@@ -97,7 +119,10 @@
  inSelections		Whether selection mode is enabled in Qlik Sense
  editMode			Whether edit mode is enabled in Qlik Sense
  selectionMode		Selection mode: QUICK or CONFIRM
+ rangeSelect		Whether values can be selected by dragging over bars or dimension labels
  rawData			Raw data from hypercube
+ masterColors		Value colors of the master dimension of the legend entries
+ totalRows			Number of rows in hypercube, may exceed rows in rawData
 
 */
 
@@ -105,6 +130,26 @@ import d3 from 'd3';
 import qlik from 'qlik';
 import { getColorSchemaByName, getDefaultSingleColor } from './colorSchemas';
 import { getBarLabelText } from './barLabelText';
+import { getDataStatus, renderStatus } from './statusOverlay';
+import { waterfallData, waterfallColors, updateConnectors } from './waterfall';
+import { getCenter, divergeValues } from './diverging';
+import { getAttributeColor, seriesColors } from './attributeColor';
+import { isColorByValue, valueColorScale, createColorLegend } from './colorByValue';
+import { persistentColorScale } from './valueColors';
+import { getThemeStyle, renderThemeStyle } from './themeStyle';
+import { contrastText, ensureContrast } from './colorUtils';
+import { patternFill, fillTween } from './patterns';
+import { formatNumber } from './numberFormat';
+import { createLegendPager, layoutLegendItems } from './legendLayout';
+import { createPlotBrush, createAxisBrush } from './brush';
+import { renderStates } from './selectionState';
+import { addTouchGestures } from './touch';
+import { createLiveRegion, addBarKeys, updateAccessibility, addLegendKeys, updateLegendLabels } from './keyboard';
+import { createMekkoScales, updateMekkoScales, mekkoTickFormat } from './marimekko';
+import { isTrellis, trellisData, refreshTrellis } from './trellis';
+import {
+  CHART_TYPE_AREA, CHART_TYPE_LINE, OFFSET_EXPAND, isStreamOffset, applyStreamOffset, updateAreas
+} from './areaSeries';
 
 // Text on bars
 const SHOW_NO_TEXT = 'N';
@@ -116,6 +161,16 @@ const TYPE_INSIDE_BARS = 1;
 const TYPE_TOTAL_POS = 2;
 const TYPE_TOTAL_NEG = 3;
 
+const BAR_LAYOUT_GROUPED = 'G';
+const BAR_LAYOUT_WATERFALL = 'W';
+const BAR_LAYOUT_DIVERGING = 'D';
+const BAR_LAYOUT_MARIMEKKO = 'M';
+
+const LEGEND_CLICK_HIDE = 'H';
+const LEGEND_VALUES_NONE = 'N';
+const LEGEND_VALUES_SHARE = 'P';
+const LEGEND_VALUES_HOVER = 'H';
+
 const ORIENTATION_HORIZONTAL = 'H';
 const ORIENTATION_VERTICAL = 'V';
 
@@ -134,11 +189,15 @@ export default {
  * This method will take input QV data and format it for 1 or 2 dimensions
  * Input:	g.rawData
  * Output:	g.data
+ *			g.status
  *			g.flatData
  *			g.allDim2
+ *			g.allSeries
  *			g.allCol2
  *			g.nDims
+ *			g.nSlots
  *			g.deltas
+ *			g.panels (trellis panels, each with the output above)
 */
   initData: function () {
     /*
@@ -146,13 +205,24 @@ export default {
 	to look like previously supported formats:
 	0 Dimensions, 1 or more measures -> format as 1 dimension, 1 measure
 	1 Dimension, 2 or more measures -> format as 2 dimensions, 1 measure
-	If two dimensions and multiple measures specified, ignore all but the first measure
+	2 Dimensions, 2 or more measures -> one stack of dim2 values per measure, side by side in each dim1 slot
+	3 Dimensions -> one 2 dimensional panel per value of the third dimension
 	*/
     var g = this;
-    var struc = [], flatData = [], q = [], r = [], deltas = [], inData = [];
-
-    if (!g.rawData[0]) return; // sometimes undefined
-    if (g.defDims + g.defMeas != g.rawData[0].length) return; // sometimes mismatched
+    var struc = [], flatData = [], q = [], deltas = [], inData = [];
+
+    // Empty or mismatched data (sometimes undefined or mismatched) is explained by a status overlay
+    g.panels = null;
+    g.colorValues = null;
+    g.hoverBars = null;
+    g.tappedBar = null;
+    g.status = getDataStatus(g);
+    if (g.status && g.status.blocking) return;
+
+    if (isTrellis(g)) {
+      trellisData(g);
+      return;
+    }
 
     if (g.defDims == 0) {
       for (var i = 0; i < g.rawData.length; i++) {
@@ -179,19 +249,43 @@ export default {
       inData = g.rawData; // Process as in previous version
     }
 
-    // Function to get dimension/measure attribute for color
-    var cf = function (e) {
-      var cn = 0;
-      return cn;
-    };
+    // Process waterfall, one dimension and one measure only
+    g.waterfall = g.barLayout == BAR_LAYOUT_WATERFALL && g.defDims == 1 && g.defMeas == 1;
+    g.areaChart = !g.waterfall && (g.chartType == CHART_TYPE_AREA || g.chartType == CHART_TYPE_LINE);
+    if (g.waterfall) {
+      var wf = waterfallData(g, inData);
+      g.nDims = 1;
+      g.nSlots = 1;
+      g.normalized = false;
+      g.diverging = false;
+      g.mekko = false;
+      g.streamOffset = false;
+      g.data = wf.struc;
+      g.flatData = wf.flatData;
+      g.connectors = wf.connectors;
+      g.allDim2 = wf.struc.map(function (d) { return d.dim1; });
+      g.allSeries = wf.series;
+      g.allCol2 = seriesColors(wf.flatData, wf.series);
+      return;
+    }
 
     // Process one dimension data
     if (inData[0].length == 2) {
       g.nDims = 1;
+      g.nSlots = 1;
       g.normalized = false;
+      g.diverging = false;
+      g.mekko = false;
+      g.streamOffset = false;
       var offsetPos = 0;
       var offsetNeg = 0;
       inData.forEach(function (d) {
+        if (q.indexOf(d[0].qText) == -1) {
+          q.push(d[0].qText);
+        }
+        if (g.seriesHidden(d[0].qText)) {
+          return;
+        }
         if (d[1].qNum < 0) {
           offsetNeg = d[1].qNum;
           offsetPos = 0;
@@ -199,30 +293,50 @@ export default {
           offsetNeg = 0;
           offsetPos = d[1].qNum;
         }
-        struc.push({ dim1: d[0].qText, offsetPos: offsetPos, offsetNeg: offsetNeg });
+        struc.push({
+          dim1: d[0].qText,
+          offsetPos: offsetPos,
+          offsetNeg: offsetNeg,
+          totalPos: offsetPos,
+          totalNeg: offsetNeg
+        });
         flatData.push({
           dim1: d[0].qText,
           dim2: d[0].qText,
+          series: d[0].qText,
           offset: 0,
           qNum: d[1].qNum,
           qText: d[1].qText,
           qTextPct: "",
-          qElemNumber: d[0].qElemNumber
+          qElemNumber: d[0].qElemNumber,
+          qStates: [d[0].qState],
+          value: d[1].qNum,
+          measure: g.defDims == 0 ? d[0].qNum - 1 : 0,
+          color: getAttributeColor(d[1])
         });
-        if (q.indexOf(d[0].qText) == -1) {
-          q.push(d[0].qText);
-          r.push(cf(d));
-        }
       });
       g.data = struc;
       g.flatData = flatData;
       g.allDim2 = q;
-      g.allCol2 = r;
+      g.allSeries = q;
+      g.allCol2 = seriesColors(flatData, q);
       return;
     }
 
     // Process two dimensional data
     g.nDims = 2;
+    g.diverging = g.barLayout == BAR_LAYOUT_DIVERGING;
+    g.mekko = g.barLayout == BAR_LAYOUT_MARIMEKKO;
+    if (g.mekko) {
+      // Marimekko bands are always 100% bars
+      g.areaChart = false;
+      g.normalized = true;
+    }
+    var stackedArea = g.chartType == CHART_TYPE_AREA && !g.diverging && g.barLayout != BAR_LAYOUT_GROUPED;
+    g.streamOffset = stackedArea && isStreamOffset(g.areaOffset);
+    if (stackedArea && g.areaOffset == OFFSET_EXPAND) {
+      g.normalized = true;
+    }
 
     var p1 = "", p2, edges = [], b, p = [];
     inData.forEach(function (d) {
@@ -232,7 +346,6 @@ export default {
       }
       if (q.indexOf(d[1].qText) == -1) {
         q.push(d[1].qText);
-        r.push(cf(d));
       }
       if (d[0].qText != p1) {
         p1 = d[0].qText;
@@ -254,15 +367,9 @@ export default {
     q = q.map(d=>d ===undefined? '': d);
     // Topological sort will throw an error if inconsistent data (sorting by measure)
     // Just ignore errors and use original sort order
-    var qs, ps, rs = [];
+    var qs;
     try {
-      ps = q.slice();
       qs = this.toposort(q, edges);
-      // Replicate qs order in r
-      for (var i = 0; i < ps.length; i++) {
-        rs.push(r[ps.indexOf(qs[i])]);
-      }
-      r = rs;
     }
     catch (err) {
       qs = q;
@@ -286,81 +393,159 @@ export default {
       return (p.indexOf(a.key) < p.indexOf(b.key) ? -1
         : (p.indexOf(a.key) > p.indexOf(b.key) ? 1 : 0));
     });
-    n.forEach(function (d, idx) {
-      var posT = 0, negT = 0, t = 0, v = [], j = 0, num, txt;
-      for (var i = 0; i < q.length; i++) {
-        let elm;
-        if (d.values.length <= j || d.values[j].key != q[i]) {
-          num = 0;
-          txt = "-";
-          elm = [];
-        }
-        else {
-          num = d.values[j].values[0][2].qNum;
-          num = Number.isFinite(num) ? num : 0;
-          txt = d.values[j].values[0][2].qText;
-          if(g.defDims == 2){
-            elm = [d.values[j].values[0][0].qElemNumber,d.values[j].values[0][1].qElemNumber];
-          }else{
-            elm = d.values[j].values[0][0].qElemNumber;
+    // With multiple measures, each measure is a separate stack (slot) within the dim1 band
+    // When grouped, every dim2 value of a stack gets its own slot instead
+    // Marimekko bands have a single stack, sized by the first measure
+    var nStacks = g.defDims == 2 && g.defMeas > 1 && !g.mekko ? g.defMeas : 1;
+    var grouped = g.barLayout == BAR_LAYOUT_GROUPED;
+    var center = g.diverging ? getCenter(q, g.divergingNeutral) : 0;
+    var seriesName = function (m, dim2) {
+      return nStacks > 1 ? g.measures[m] + ", " + dim2 : dim2;
+    };
+    // Hidden series are left out, when grouped they also take no slot
+    var visibleDim2 = function (m) {
+      return q.filter(function (e) { return !g.seriesHidden(seriesName(m, e)); });
+    };
+    var visible = d3.range(nStacks).map(visibleDim2);
+    var slotStart = visible.map(function (e, m) {
+      return d3.sum(visible.slice(0, m), function (v) { return v.length; });
+    });
+    var nVisible = d3.sum(visible, function (e) { return e.length; });
+    var prevStacks = [];
+    n.forEach(function (d) {
+      var stacks = [];
+      for (var m = 0; m < nStacks; m++) {
+        var posT = 0, negT = 0, maxT = 0, minT = 0, t = 0, v = [], j = 0, num, txt, color;
+        for (var i = 0; i < q.length; i++) {
+          let elm, value = NaN;
+          if (d.values.length <= j || d.values[j].key != q[i]) {
+            num = 0;
+            txt = "-";
+            elm = [];
           }
-          j++;
-          if (num < 0) {
-            t = negT;
-            negT += num;
-          } else {
-            t = posT;
-            posT += num;
+          else if (g.seriesHidden(seriesName(m, q[i]))) {
+            j++;
+          }
+          else {
+            let row = d.values[j].values[0];
+            value = row[2 + m].qNum; // Null cells have qNum "NaN", kept for colors and legend values
+            num = Number.isFinite(value) ? value : 0;
+            txt = row[2 + m].qText;
+            color = getAttributeColor(row[2 + m]);
+            if(g.defDims == 2){
+              elm = [row[0].qElemNumber,row[1].qElemNumber];
+            }else{
+              elm = row[0].qElemNumber;
+            }
+            j++;
+            if (num < 0) {
+              t = negT;
+              negT += num;
+            } else {
+              t = posT;
+              posT += num;
+            }
+            if (grouped) {
+              t = 0;
+              maxT = Math.max(maxT, num);
+              minT = Math.min(minT, num);
+            }
+            v.push({
+              dim2: q[i],
+              series: seriesName(m, q[i]),
+              slot: grouped ? slotStart[m] + visible[m].indexOf(q[i]) : (nStacks > 1 ? m : undefined),
+              qNum: num,
+              qText: txt,
+              qElemNumber: elm,
+              qStates: [row[0].qState, row[1].qState],
+              value: value,
+              measure: nStacks > 1 ? m : (g.defDims == 1 ? row[1].qNum - 1 : 0),
+              color: color,
+              offset: t
+            });
           }
-          v.push({
-            dim2: q[i],
-            qNum: num,
-            qText: txt,
-            qElemNumber: elm,
-            offset: t
-          });
         }
-      }
-      v.forEach(function (e) {
-        e.dim1 = d.key;
-        if (g.normalized) {
-          let n = e.qNum < 0 ? -negT : posT;
-          e.offset = e.offset / n;
-          e.qNum = e.qNum / n;
-          e.qTextPct = d3.format(".1%")(e.qNum);
+        var totalPos = posT, totalNeg = negT;
+        if (g.diverging) {
+          var divergedT = divergeValues(v, q, center, g.normalized);
+          posT = divergedT.posT;
+          negT = divergedT.negT;
+          totalPos = divergedT.totalPos;
+          totalNeg = divergedT.totalNeg;
         }
-      });
-      flatData.push.apply(flatData, v);
-      struc.push({ dim1: d.key, offsetPos: posT, offsetNeg: negT, values: v });
-
-      if (idx > 0 && g.showDeltas) {
-        var p = struc[idx - 1].values;
-        var c = struc[idx].values;
-        for (var k = 0; k < p.length; k++) {
-          if(p[k] && c[k]){
-            deltas.push({
-              dim1p: p[k].dim1 || '',
-              dim1c: c[k].dim1 || '',
-              dim2: p[k].dim2 || '',
-              delta: c[k].qNum - p[k].qNum,
-              deltaPct: 0,
-              measureNumber: p[k].measureNumber,
-              points: [
-                p[k].offset,
-                c[k].offset,
-                p[k].qNum,
-                c[k].qNum
-              ]
-            });
+        v.forEach(function (e) {
+          e.dim1 = d.key;
+          if (g.normalized && !g.diverging) {
+            let n = e.qNum < 0 ? -negT : posT;
+            e.offset = e.offset / n;
+            e.qNum = e.qNum / n;
+            e.qTextPct = d3.format(".1%")(e.qNum);
           }
+        });
+        flatData.push.apply(flatData, v);
+        var stack = {
+          dim1: d.key,
+          offsetPos: grouped ? maxT : posT,
+          offsetNeg: grouped ? minT : negT,
+          totalPos: totalPos,
+          totalNeg: totalNeg,
+          values: v
+        };
+        if (nStacks > 1) {
+          stack.slot = grouped ? slotStart[m] : m;
+          stack.slotSpan = grouped ? visible[m].length : 1;
+        }
+        struc.push(stack);
+        stacks.push(stack);
+
+        if (prevStacks.length && g.showDeltas && !g.areaChart) {
+          g.pushDeltas(deltas, prevStacks[m], stack);
         }
       }
+      prevStacks = stacks;
     });
     g.data = struc;
     g.flatData = flatData;
     g.allDim2 = q;
-    g.allCol2 = r;
+    g.allSeries = [];
+    for (var m = 0; m < nStacks; m++) {
+      g.allSeries.push.apply(g.allSeries, q.map(function (e) { return seriesName(m, e); }));
+    }
+    g.allCol2 = seriesColors(flatData, g.allSeries);
+    g.nSlots = grouped ? Math.max(1, nVisible) : nStacks;
     g.deltas = deltas;
+    if (g.streamOffset) {
+      applyStreamOffset(g, g.areaOffset);
+    }
+  },
+
+  /**
+   *--------------------------------------
+   * Push Deltas
+   *--------------------------------------
+   * Add bar connectors between the values of two adjacent stacks
+   */
+  pushDeltas: function (deltas, prev, cur) {
+    prev.values.forEach(function (p) {
+      var c = cur.values.find(function (e) { return e.series == p.series; });
+      if (c) {
+        deltas.push({
+          dim1p: p.dim1 || '',
+          dim1c: c.dim1 || '',
+          dim2: p.dim2 || '',
+          series: p.series || '',
+          slot: p.slot,
+          delta: c.qNum - p.qNum,
+          deltaPct: 0,
+          points: [
+            p.offset,
+            c.offset,
+            p.qNum,
+            c.qNum
+          ]
+        });
+      }
+    });
   },
 
   /**
@@ -373,14 +558,15 @@ export default {
   initChart: function () {
     var g = this;
 
-    var xLabelTitle = g.orientation == ORIENTATION_VERTICAL ? g.labelTitleD : g.labelTitleM;
+    var labelTitleM = g.measureLabelTitle();
+    var xLabelTitle = g.orientation == ORIENTATION_VERTICAL ? g.labelTitleD : labelTitleM;
     g.xAxisHeight = xLabelTitle == "B" || xLabelTitle == "L"
       ? [70, 40, 25]["WMN".indexOf(g.orientation == ORIENTATION_VERTICAL
         ? g.axisMarginD : g.axisMarginM)] : 0;
     var xTitleHeight = xLabelTitle == "B" || xLabelTitle == "T" ? 20 : 0;
     var xAxisPad = 20;
 
-    var yLabelTitle = g.orientation == ORIENTATION_VERTICAL ? g.labelTitleM : g.labelTitleD;
+    var yLabelTitle = g.orientation == ORIENTATION_VERTICAL ? labelTitleM : g.labelTitleD;
     g.yAxisWidth = yLabelTitle == "B" || yLabelTitle == "L"
       ? [90, 50, 30]["WMN".indexOf(g.orientation == ORIENTATION_VERTICAL
         ? g.axisMarginM : g.axisMarginD)] : 0;
@@ -400,62 +586,22 @@ export default {
     var innerWidth = (!g.width || g.width === "undefined" ? 0 : g.width) - margin.left - margin.right;
     var innerHeight = (!g.height || g.height === "undefined" ? 0 : g.height) - margin.top - margin.bottom;
 
-    g.lgn = {
-      minDim: [200, 100], // min inner dimensions for legend to be displayed
-      use: "",
-      pad: 0,
-      sep: 5,
-      box: [12, 12], // legend item color box
-      itmHeight: 20,
+    var layout = {
+      margin: margin,
+      innerWidth: innerWidth,
+      innerHeight: innerHeight,
+      xAxisSpace: g.xAxisHeight + xTitleHeight,
+      yAxisSpace: g.yAxisWidth + yTitleWidth,
+      pad: yAxisPad
     };
-    g.lgn.txtOff = g.lgn.box[0] + g.lgn.pad + g.lgn.sep;
-
-    // adjust for legend if any
-    g.lgn.use = g.showLegend ? g.legendPosition : "";
-    if (g.lgn.use) {
-      if (g.lgn.use == "L" || g.lgn.use == "R") {
-        if (innerWidth <= g.lgn.minDim[0]) {
-          g.lgn.use = "";
-        }
-        else {
-          g.lgn.width = innerWidth / ([4, 6, 10]["WMN".indexOf(g.legendSize)]);
-          innerWidth -= (g.lgn.width + yAxisPad);
-          g.lgn.height = innerHeight + g.xAxisHeight + xTitleHeight;
-          g.lgn.y = margin.top;
-          g.lgn.txtWidth = g.lgn.width - g.lgn.pad - g.lgn.sep - g.lgn.box[0];
-          if (g.lgn.use == "L") {
-            g.lgn.x = yAxisPad;
-            margin.left += g.lgn.width + g.lgn.x;
-          }
-          else {
-            g.lgn.x = margin.left + innerWidth + yAxisPad;
-          }
-        }
-      }
-      else if (g.lgn.use == "T" || g.lgn.use == "B") {
-        if (innerHeight <= g.lgn.minDim[1]) {
-          g.lgn.use = "";
-        }
-        else {
-          g.lgn.width = innerWidth + g.yAxisWidth + yTitleWidth;
-          g.lgn.height = g.lgn.itmHeight * (3 - "WMN".indexOf(g.legendSize));
-          innerHeight -= g.lgn.height;
-          g.lgn.x = yAxisPad;
-          g.lgn.txtWidth = [100, 75, 50]["WMN".indexOf(g.legendSpacing)];
-          if (g.lgn.use == "T") {
-            g.lgn.y = margin.top;
-            margin.top += g.lgn.height;
-          }
-          else {
-            g.lgn.y = margin.bottom + innerHeight;
-            innerHeight -= 10;
-          }
-        }
-      }
-    }
+    g.layoutLegend(layout);
+    innerWidth = layout.innerWidth;
+    innerHeight = layout.innerHeight;
     g.component.selectAll("*")
       .remove()
     ;
+    g.patternDefs = null;
+    renderThemeStyle(g);
     var tooltip = g.component.append("div")
       .attr("class", "ldwtooltip")
       .style("opacity", "0")
@@ -466,6 +612,7 @@ export default {
     tooltip.append("p")
       .attr("class", "ldwttvalue")
     ;
+    createLiveRegion(g);
     g.svg = g.component
       .append("svg")
       .attr("width", g.width)
@@ -478,45 +625,22 @@ export default {
     g.self && g.self.$scope.options.interactionState === 2 ? g.svg.attr('class' , 'in-edit-mode') : g.svg.attr('class', '');
     var dim1 = g.data.map(function (d) { return d.dim1; });
     if (g.orientation == ORIENTATION_HORIZONTAL) dim1.reverse();
-    g.dScale = d3.scale.ordinal()
-      .domain(dim1)
-      .rangeRoundBands(g.orientation == ORIENTATION_VERTICAL
-        ? [0, innerWidth]
-        : [innerHeight, 0], g.barGap, g.outerGap);
-
-    g.max = d3.max(g.data, function (d) {
-      if (g.normalized) {
-        return d.offsetPos && d.offsetPos > 0 ? g.gridHeight : 0;//g.gridHeight;
-      }
-
-      var maxOffset = Math.max(0, d.offsetPos);
-      if (d.values) {
-        d.values.forEach(dataObject => {
-          if (dataObject.offset > maxOffset) {
-            maxOffset = dataObject.offset;
-          }
-        });
-      }
-
-      return maxOffset * g.gridHeight;
-    });
-
-    g.min = d3.min(g.data, function (d) {
-      if (g.normalized) {
-        return d.offsetNeg && d.offsetNeg < 0 ? -g.gridHeight : 0;
-      }
-
-      var minOffset = Math.min(0, d.offsetNeg);
-      if (d.values) {
-        d.values.forEach(dataObject => {
-          if (dataObject.offset < minOffset) {
-            minOffset = dataObject.offset;
-          }
-        });
-      }
+    g.bandWidths = null;
+    if (g.mekko) {
+      g.mekkoExtent = g.orientation == ORIENTATION_VERTICAL ? innerWidth : innerHeight;
+      createMekkoScales(g);
+      updateMekkoScales(g, g.mekkoExtent);
+    }
+    else {
+      g.dScale = d3.scale.ordinal()
+        .domain(dim1)
+        .rangeRoundBands(g.orientation == ORIENTATION_VERTICAL
+          ? [0, innerWidth]
+          : [innerHeight, 0], g.barGap, g.outerGap);
+    }
+    g.updateSlotScale();
 
-      return minOffset * g.gridHeight;
-    });
+    g.updateExtent();
 
     g.mScale = d3.scale.linear()
       .domain([g.min, g.max])
@@ -530,12 +654,14 @@ export default {
     }
     if (g.labelTitleD == 'B' || g.labelTitleD == 'L') {
       g.dAxis = d3.svg.axis()
-        .scale(g.dScale)
+        .scale(g.mekko ? g.mekkoAxisScale : g.dScale)
         .orient(g.orientation == ORIENTATION_VERTICAL ? "bottom" : "left")
         .tickSize(g.gridlinesD ? (g.orientation == ORIENTATION_VERTICAL ? -innerHeight : -innerWidth) : 6)
+        .tickFormat(g.mekko ? mekkoTickFormat(g) : null)
         .tickPadding(5)
       ;
       dGrp.call(g.dAxis);
+      createAxisBrush(g, dGrp, innerWidth, innerHeight);
     }
     if (g.labelTitleD == 'B' || g.labelTitleD == 'T') {
       if (g.orientation == ORIENTATION_VERTICAL) {
@@ -557,18 +683,18 @@ export default {
     if (g.orientation != ORIENTATION_VERTICAL) {
       mGrp.attr("transform", "translate(0," + innerHeight + ")");
     }
-    if (g.labelTitleM == 'B' || g.labelTitleM == 'L') {
+    if (labelTitleM == 'B' || labelTitleM == 'L') {
       g.mAxis = d3.svg.axis()
         .scale(g.mScale)
         .orient(g.orientation == ORIENTATION_VERTICAL ? "left" : "bottom")
         .tickSize(g.gridlinesM ? (g.orientation == ORIENTATION_VERTICAL ? -innerWidth : -innerHeight) : 6)
         .ticks(g.ticks)
-        .tickFormat(d3.format(["s", ",.g", ",.0%", "s", g.axisFormatMs]["ANPSC".indexOf(g.axisFormatM)]))
+        .tickFormat(g.measureTickFormat())
         .tickPadding(5)
       ;
       mGrp.call(g.mAxis);
     }
-    if (g.labelTitleM == 'B' || g.labelTitleM == 'T') {
+    if (labelTitleM == 'B' || labelTitleM == 'T') {
       if (g.orientation == ORIENTATION_VERTICAL) {
         tr = "translate(-" + (g.yAxisWidth + yTitleWidth / 2 + 2) + "," + (innerHeight / 2) + ")rotate(-90)";
       }
@@ -582,117 +708,15 @@ export default {
         .text(g.axisTitleM)
       ;
     }
-    let colorSchema = getColorSchemaByName(g.colorSchema).colors;
-
-    if (g.singleColor) {
-      g.cScale = () => (g.color && g.color.color) || getDefaultSingleColor().color;
-    } else {
-      g.cScale = d3.scale.ordinal().range(colorSchema).domain(g.allDim2);
-    }
-
-    // Create Legend
-    if (g.lgn.use) {
-      var legendPosition = g.legendPosition;
-      const legendPadding = 10;
-
-      var lgn = g.component
-        .append('div')
-        .attr('id', 'ldwlegend')
-        .style('transform', `translate(${g.lgn.x - legendPadding}px, ${g.lgn.y - legendPadding}px)`)
-        .style('height' , g.lgn.height + 'px')
-        .style('width' , g.lgn.width + 'px')
-        .style('flex-direction',
-          legendPosition === 'R' || legendPosition === 'L' ? 'column' : 'row-reverse')
-        .style('overflow', 'hidden');
-      if (legendPosition === 'R') {
-        lgn.style('padding-left' , '25px');
-      } else if (legendPosition === 'T' || legendPosition === 'B') {
-        lgn.style('padding-right' , '50px');
-      }
-
-      var lgnContainer = lgn.append('div')
-        .attr('class', 'lgnContainer')
-        .style('height' , '100%')
-        .style('width' , '100%')
-        .style('overflow', 'hidden');
-
-      var itemWidth = g.lgn.txtOff + g.lgn.txtWidth;
-      var itemsPerRow = legendPosition === 'R' || legendPosition === 'L'
-        ? 1 : Math.floor(g.lgn.width / itemWidth);
-      var rowCount = Math.ceil(g.allDim2.length / itemsPerRow);
-
-      var itemsHeight = rowCount * g.lgn.itmHeight;
-      var legendItems = lgnContainer.append("svg")
-        .attr('class', 'ldwlgnitems')
-        .style('height', itemsHeight + 'px')
-        .style('width' , '100%');
-
-      g.lgn.items = legendItems
-        .selectAll("g")
-        .data(g.allDim2);
-
-      if (lgnContainer[0][0].clientHeight < itemsHeight) {
-
-        // Can't fit all items in the container, so add scroll buttons
-        g.lgn.btnContainer = lgn.append('div')
-          .attr('class', 'btnContainer');
-        var btnWrapper = g.lgn.btnContainer.append('div')
-          .attr('class', 'btnWrapper');
-        var btnDown = btnWrapper.append('button')
-          .attr('class', 'ldwLgnBtn')
-          .attr('id', 'btnDown')
-          .attr('width', '10px')
-          .attr('height', '10px')
-          .on('click', function(){
-            if (g.self && g.self.$scope.options.interactionState === 2) {
-              return;
-            }
-
-            lgnContainer[0][0].scrollTop +=
-              g.legendPosition == 'R' || g.legendPosition == 'L' ? g.lgn.height : g.lgn.itmHeight;
-
-            btnUp.style('border-bottom-color', 'black');
-            btnUp.property('disabled', false);
-            var remainingScroll = lgnContainer[0][0].scrollHeight
-              - lgnContainer[0][0].clientHeight - lgnContainer[0][0].scrollTop;
-            if (remainingScroll < g.lgn.itmHeight) {
-              btnDown.style('border-top-color', 'gray');
-              btnDown.property('disabled', true);
-            }
-          });
-        var btnUp = btnWrapper.append('button')
-          .attr('class', 'ldwLgnBtn')
-          .attr('id', 'btnUp')
-          .attr('width', '10px')
-          .attr('height', '10px')
-          .property('disabled', true)
-          .on('click', function() {
-            if (g.self && g.self.$scope.options.interactionState === 2) {
-              return;
-            }
-
-            lgnContainer[0][0].scrollTop -=
-              g.legendPosition == 'R' || g.legendPosition == 'L' ? g.lgn.height : g.lgn.itmHeight;
-
-            btnDown.style('border-top-color', 'black');
-            btnDown.property('disabled', false);
-            if (lgnContainer[0][0].scrollTop == 0){
-              btnUp.style('border-bottom-color', 'gray');
-              btnUp.property('disabled', true);
-            }
-          });
-
-        if (legendPosition === 'T' || legendPosition === 'B') {
-          // The scroll buttons take up space, so need to adjust the size of the legend item svg
-          itemsPerRow = Math.floor(
-            (g.lgn.width - g.lgn.btnContainer[0][0].clientWidth) / itemWidth);
-          rowCount = Math.ceil(g.allDim2.length / itemsPerRow);
-          legendItems.style('height', rowCount * g.lgn.itmHeight + 'px');
-        }
-      } else {
-        g.lgn.btnContainer = null;
-      }
+    if (g.areaChart) {
+      // Areas and lines are drawn below the bars, which are used as hit areas
+      g.svg.append("g")
+        .attr("class", "ldwareas");
     }
+    createPlotBrush(g, innerWidth, innerHeight);
+    g.cScale = g.colorScale();
+    g.updateValueScale();
+    g.createLegend();
 
     // Create bars
     g.bars = g.svg.selectAll('[id="' + g.id + '"] .ldwbar')
@@ -709,9 +733,9 @@ export default {
       if ((g.showTexts === SHOW_TEXT_TOTAL || g.showTexts === SHOW_TEXT_BOTH) && !g.normalized) {
         // Create bars totals
         g.totalsPos = g.svg.selectAll('[id="' + g.id + '"] .ldwtot .pos')
-          .data(g.data, function (d) { return d.dim1; });
+          .data(g.data, g.stackKey);
         g.totalsNeg = g.svg.selectAll('[id="' + g.id + '"] .ldwtot .neg')
-          .data(g.data, function (d) { return d.dim1; });
+          .data(g.data, g.stackKey);
       }
       if (g.showTexts === SHOW_TEXT_INSIDE_BARS || g.showTexts === SHOW_TEXT_BOTH) {
         // Create text on bars
@@ -723,7 +747,7 @@ export default {
     // Create deltas
     if (g.showDeltas && g.nDims == 2) {
       g.polys = g.svg.selectAll('[id="' + g.id + '"] polygon')
-        .data(g.deltas, function (d) { return d.dim1p + "-" + d.dim1c + "," + d.dim2; })
+        .data(g.deltas, function (d) { return d.dim1p + "-" + d.dim1c + "," + d.series; })
       ;
     }
   },
@@ -743,196 +767,42 @@ export default {
       .enter()
       .append("rect")
       .attr("ldwdim1", function (d) { return d.qElemNumber; })
-      .attr(g.orientation == ORIENTATION_VERTICAL ? "x" : "y", function (d) { return g.dScale(d.dim1); })
+      .attr(g.orientation == ORIENTATION_VERTICAL ? "x" : "y", function (d) { return g.barPos(d); })
       .attr(g.orientation == ORIENTATION_VERTICAL ? "y" : "x", function (d) { return g.mScale(0); })		// grow from bottom
-      .attr(g.orientation == ORIENTATION_VERTICAL ? "width" : "height", g.dScale.rangeBand())
+      .attr(g.orientation == ORIENTATION_VERTICAL ? "width" : "height", function (d) { return g.barWidth(d); })
       .attr(g.orientation == ORIENTATION_VERTICAL ? "height" : "width", function (d) { return 0; })
       .style("fill", function (d) {
-        return g.cScale(d.dim2);
+        return g.barFill(d);
       })
       .style("opacity", "0")
-      .attr("class", "selectable ldwbar")
+      .attr("class", g.areaChart ? "selectable ldwbar ldwhit" : "selectable ldwbar")
       .on("click", function (d) {
-        if (g.self.$scope.g.defDims == 2){ //if we have two Dims
-          if ( d && d.dim2 ){
-            if (g.selectionMode == "QUICK") {
-              g.self.backendApi.selectValues(1, [d.qElemNumber[1]], false);
-              g.self.backendApi.selectValues(0, [d.qElemNumber[0]], false);
-            }
-            else if (g.selectionMode == "CONFIRM") {
-
-              let selectedArrayDim1=[];
-              if(g.self.selectedArrays){
-                selectedArrayDim1 = g.self.selectedArrays[0];
-              }
-              let selectedArrayDim2=[];
-              if(g.self.selectedArrays){
-                selectedArrayDim2 = g.self.selectedArrays[1];
-              }
-              if(
-                selectedArrayDim1.indexOf(d.qElemNumber[0]) !== -1
-              && selectedArrayDim2.indexOf(d.qElemNumber[1]) !== -1 )
-
-              {
-                g.self.selectValues(1, [d.qElemNumber[1]], true);
-                g.self.selectValues(0, [d.qElemNumber[0]], true);
-              }
-              else{
-                g.self.selectValues(1, [d.qElemNumber[1]], false);
-                g.self.selectValues(0, [d.qElemNumber[0]], false);
-              }
-
-              let t = d3.select(this).classed("selected");
-              let selecatableClass = d3.select(this).classed("selectable");
-
-              // // following to address QS bug where clear button does not clear class names
-              g.self.clearSelectedValues = function () {
-                d3.selectAll('[id="' + g.id + '"] .selected').classed("selected", false);
-                d3.selectAll('[id="' + g.id + '"] .selected').classed("selectable", false);
-              };
-              d3.selectAll('[id="' + g.id + '"] [ldwdim1="' + d.qElemNumber + '"]')
-                .classed("selected", !t);
-              d3.selectAll('[id="' + g.id + '"] [ldwdim1="' + d.qElemNumber + '"]')
-                .classed("selectable", !selecatableClass);
-              d3.select('[id="' + g.id + '"] .ldwtooltip')
-                .style("opacity", "0")
-                .transition()
-                .remove
-              ;
-            }
-          }
-        }
-        if (g.self.$scope.g.defDims == 1){
-          if (g.selectionMode == "QUICK") {
-            g.self.backendApi.selectValues(0, [d.qElemNumber], true);
-          }
-          else if (g.selectionMode == "CONFIRM") {
-            var t = d3.select(this).classed("selected");
-            let selectedArrayDim1 = [];
-            if (g.self.selectedArrays){
-              selectedArrayDim1 = g.self.selectedArrays[0];
-            }
-            if (selectedArrayDim1 && selectedArrayDim1.indexOf(d.qElemNumber) !== -1){
-              g.self.selectValues(0, [d.qElemNumber], true);
-            } else {
-              g.self.selectValues(0, [d.qElemNumber], false);
-            }
-
-            // following to address QS bug where clear button does not clear class names
-            g.self.clearSelectedValues = function () {
-              d3.selectAll('[id="' + g.id + '"] .selected').classed("selected", false);
-            };
-
-            d3.selectAll('[id="' + g.id + '"] [ldwdim1="' + d.qElemNumber + '"]')
-              .classed("selected", !t);
-            d3.select('[id="' + g.id + '"] .ldwtooltip')
-              .style("opacity", "0")
-              .transition()
-              .remove
-            ;
-          }
-        }
-      })
-      .on("touchstart", function(d){ //WIP toching should NOT give the hover effect,, waiting for a proper testing device to continue
-        if (g.editMode) return;
-        d3.select(this)
-          .style("opacity", "1.0")
-          .attr("stroke", "none")
-        ;
         var event = d3.event;
-        if (g.self.$scope.g.defDims == 2){ //if we have two Dims
-          if ( d && d.dim2 ){
-            if (g.selectionMode == "QUICK") {
-              g.self.backendApi.selectValues(1, [d.qElemNumber[1]], true);
-              g.self.backendApi.selectValues(0, [d.qElemNumber[0]], true);
-            }
-            else if (g.selectionMode == "CONFIRM") {
-
-              var t = d3.select(this).classed("selected");
-              g.self.selectValues(1, [d.qElemNumber[1]], true);
-              g.self.selectValues(0, [d.qElemNumber[0]], true);
-
-              // following to address QS bug where clear button does not clear class names
-              g.self.clearSelectedValues = function () {
-                d3.selectAll('[id="' + g.id + '"] .selected').classed("selected", false);
-              };
-              d3.selectAll('[id="' + g.id + '"] [ldwdim1="' + d.qElemNumber + '"]')
-                .classed("selected", !t);
-              d3.select('[id="' + g.id + '"] .ldwtooltip')
-                .style("opacity", "0")
-                .transition()
-                .remove
-              ;
-            }
-          }
+        if (event && (event.ctrlKey || event.metaKey || event.shiftKey)) {
+          // A click with a modifier key selects the whole series
+          g.selectSeries(d.series);
+          return;
         }
-        if (g.self.$scope.g.defDims == 1){
-          if (g.selectionMode == "QUICK") {
-            g.self.backendApi.selectValues(0, [d.qElemNumber], true);
-          }
-          else if (g.selectionMode == "CONFIRM") {
-            var t = d3.select(this).classed("selected");
-            g.self.selectValues(0, [d.qElemNumber], true);
-            // following to address QS bug where clear button does not clear class names
-            g.self.clearSelectedValues = function () {
-              d3.selectAll('[id="' + g.id + '"] .selected').classed("selected", false);
-            };
-            d3.selectAll('[id="' + g.id + '"] [ldwdim1="' + d.qElemNumber + '"]')
-              .classed("selected", !t);
-            d3.select('[id="' + g.id + '"] .ldwtooltip')
-              .style("opacity", "0")
-              .transition()
-              .remove
-            ;
-          }
-        }
-        event.preventDefault();
+        g.selectBar(d);
       })
-      .on("mouseenter", function (d,e) {
+      .on("mouseenter", function (d) {
         if (g.editMode) return;
         d3.select(this)
           .style("opacity", "0.5")
           .attr("stroke", "white")
           .attr("stroke-width", "2")
         ;
-        // Place text in tooltip
-        d3.select('[id="' + g.id + '"] .ldwttheading')
-          .text(g.nDims == 2 ? d.dim1 + ", " + d.dim2 : d.dim1);
-        d3.select('[id="' + g.id + '"] .ldwttvalue')
-          .text(g.nDims == 2
-            ? (g.normalized ? d.qTextPct + ", " + d.qText : d.qText)
-            : d.qText);
-
-        var matrix = this.getScreenCTM()
-          .translate(+this.getAttribute("x"), +this.getAttribute("y"));
-
-        var xPosition = (window.pageXOffset + matrix.e)
-          - d3.select('[id="' + g.id + '"] .ldwtooltip')[0][0].clientWidth / 2
-          + (g.orientation == ORIENTATION_VERTICAL ? g.dScale.rangeBand() : d3.select(this).attr("width")) / 2
-          ;
-        var yPosition = (window.pageYOffset + matrix.f)
-          - d3.select('[id="' + g.id + '"] .ldwtooltip')[0][0].clientHeight
-          - 10
-          ;
-        d3.select('[id="' + g.id + '"] .ldwtooltip')
-          .style("left", xPosition + "px")
-          .style("top", yPosition + "px")
-          .transition()
-          .delay(750)
-          .style("opacity", "0.95")
-        ;
+        g.showBarTooltip(this, d, 750);
       })
       .on("mouseleave", function () {
         d3.select(this)
           .style("opacity", "1.0")
           .attr("stroke", "none")
         ;
-        d3.select('[id="' + g.id + '"] .ldwtooltip')
-          .style("opacity", "0")
-          .transition()
-          .remove
-        ;
-      });
+        g.hideBarTooltip();
+      })
+      .call(addTouchGestures, g)
+      .call(addBarKeys, g);
 
     if (~"TA".indexOf(g.showTexts) && !g.normalized) {
       // Create totals
@@ -943,13 +813,14 @@ export default {
           .append("text")
           .attr("class", "ldwtot pos")
           .style("opacity", "0")
+          .on("click", function (d) { g.selectDim1(d.dim1); })
           .each(function (d) {
             d.qNum = minMax[1] - d.offsetPos;
-            d.qText = d3.format([",.g", ",.0%", "s", g.totalFormatMs]["NPSC".indexOf(g.totalFormatM)])(d.offsetPos);
+            d.qText = d3.format([",.g", ",.0%", "s", g.totalFormatMs]["NPSC".indexOf(g.totalFormatM)])(d.totalPos);
             try {
               var txp = g.barText(d, TYPE_TOTAL_POS);
               d3.select(this)
-                .style("fill", "black")
+                .style("fill", g.totalColor())
                 .style("font-size", g.tref.style("font-size"))
                 .attr("x", g.orientation == ORIENTATION_VERTICAL ? txp.x : 0)
                 .attr("y", g.orientation == ORIENTATION_VERTICAL ? g.mScale(0) : txp.y)
@@ -966,13 +837,14 @@ export default {
           .append("text")
           .attr("class", "ldwtot neg")
           .style("opacity", "0")
+          .on("click", function (d) { g.selectDim1(d.dim1); })
           .each(function (d) {
             d.qNum = minMax[0] - d.offsetNeg;
-            d.qText = d3.format([",.g", ",.0%", "s", g.totalFormatMs]["NPSC".indexOf(g.totalFormatM)])(d.offsetNeg);
+            d.qText = d3.format([",.g", ",.0%", "s", g.totalFormatMs]["NPSC".indexOf(g.totalFormatM)])(d.totalNeg);
             try {
               var txp = g.barText(d, TYPE_TOTAL_NEG);
               d3.select(this)
-                .style("fill", "black")
+                .style("fill", g.totalColor())
                 .style("font-size", g.tref.style("font-size"))
                 .attr("x", g.orientation == ORIENTATION_VERTICAL ? txp.x : 0)
                 .attr("y", g.orientation == ORIENTATION_VERTICAL ? g.mScale(0) : txp.y)
@@ -998,7 +870,7 @@ export default {
             var txp = g.barText(dataObject, TYPE_INSIDE_BARS);
 
             d3.select(this)
-              .style("fill", g.textColor == "Auto" ? g.txtColor(g.cScale(dataObject.dim2)) : g.textColor)
+              .style("fill", g.textColor == "Auto" ? g.txtColor(g.barColor(dataObject)) : g.textColor)
               .style("font-size", g.tref.style("font-size"))
               .attr("x", g.orientation == ORIENTATION_VERTICAL ? txp.x : 0)
               .attr("y", txp.y)
@@ -1044,15 +916,15 @@ export default {
       };
 
       const zeroMeasureScale = g.mScale(0);
-      const dimensionScaleRange = g.dScale.rangeBand();
 
       g.polys
         .enter()
         .append('polygon')
+        .attr('class', 'ldwdelta')
         .attr('points', function (datum) {
-          const fromBar = g.dScale(datum.dim1p);
-          const toBar = g.dScale(datum.dim1c);
-          const distance = fromBar + dimensionScaleRange;
+          const fromBar = g.barPos({ dim1: datum.dim1p, slot: datum.slot });
+          const toBar = g.barPos({ dim1: datum.dim1c, slot: datum.slot });
+          const distance = fromBar + g.barWidth({ dim1: datum.dim1p, slot: datum.slot });
 
           if (g.orientation === ORIENTATION_VERTICAL) {
             let { x1, x2, y } = verticalCoordinates;
@@ -1069,7 +941,7 @@ export default {
           return `${x},${y1} ${x},${y1} ${x},${y2} ${x},${y2}`;
         })
         .style("fill", function (d) {
-          return g.cScale(d.dim2);
+          return g.seriesFill(d.series);
         })
         .style("opacity", "0")
         .on("mouseenter", function (d) {
@@ -1098,10 +970,11 @@ export default {
             .attr("stroke", "white")
             .attr("stroke-width", "2");
           // Place text in tooltip
+          var text = g.deltaTooltip(d);
           d3.select('[id="' + g.id + '"] .ldwttheading')
-            .text(d.dim2 + ", " + d.dim1p + "-" + d.dim1c);
+            .text(text[0]);
           d3.select('[id="' + g.id + '"] .ldwttvalue')
-            .text(d3.format(g.normalized ? "+.1%" : "+.3s")(d.delta));
+            .text(text[1]);
 
           var matrix = this.getScreenCTM()
             .translate(sx, sy);
@@ -1126,159 +999,9 @@ export default {
             .style("opacity", "0")
             .transition()
             .remove;
-        });
-    }
-    // create legend
-    if (g.lgn.use) {
-      g.lgn.items
-        .enter()
-        .append("g")
-        .attr("class",g.self && g.self._inEditState ? "ldwlgnitem" : "ldwlgnitem analysis-mode")
-        .on('click', function(e) {
-          d3.selectAll('rect')
-            .filter(function(d){
-              if (g.self && g.self._inEditState) return;
-              if (g.self.$scope.g.defDims == 2){ //if we have two Dims
-                if ( d && d.dim2 ){
-                  if( d.dim2 === e){
-                    if (g.selectionMode == "QUICK") {
-                      g.self.backendApi.selectValues(1, [d.qElemNumber[1]], false);
-                    }
-                  }
-                }
-              }
-              if (g.self.$scope.g.defDims == 1){
-                if (d && d.dim1){
-                  if (d.dim1 === e){
-                    if (d.qElemNumber >= 0) { // Cannot select a measure
-                      if (g.selectionMode == "QUICK") {
-                        g.self.backendApi.selectValues(0, [d.qElemNumber], false);
-                      }
-                    }
-                  }
-                }
-              }
-            } )
-          ;
         })
-        .on('mouseenter', function(e){
-          if (g.self && g.self.$scope.options.interactionState === 2) return;
-          d3.select(this)
-            .classed('legendHover');
-          d3.selectAll('rect')
-            .filter(function(d){
-              if (g.self.$scope.g.defDims == 2){
-                if (d && d.dim2){
-                  if (d.dim2 === e){
-                    d3.select(this)
-                      .style("opacity", "0.5")
-                      .attr("stroke", "white")
-                      .attr("stroke-width", "2");
-                  }
-                }
-              }
-              else{
-                if (d && d.dim1){
-                  if (d.dim1 === e){
-                    d3.select(this)
-                      .style("opacity", "0.5")
-                      .attr("stroke", "white")
-                      .attr("stroke-width", "2");
-                  }
-                }
-              }
-            });
-        })
-        .on('mouseleave', function(e){
-          d3.selectAll('rect')
-            .filter(function(d){
-              if (g.self.$scope.g.defDims == 2){
-                if (d && d.dim2){
-                  if (d.dim2 === e){
-                    d3.select(this)
-                      .style("opacity", "1.0")
-                      .attr("stroke", "none");
-                  }
-                }
-              }
-              else{
-                if (d && d.dim1){
-                  if (d.dim1 === e){
-                    d3.select(this)
-                      .style("opacity", "1.0")
-                      .attr("stroke", "none");
-                  }
-                }
-              }
-            });
-        })
-        .each(function (d, i) {
-          d3.select(this)
-            .append("rect")
-            //					.attr("x","0")		// Initialize to zero to have legend grow from top
-            //					.attr("y","0")
-            .attr("x", function (e) {
-              var x;
-              if (g.lgn.use == "T" || g.lgn.use == "B") {
-                x = i * (g.lgn.txtOff + g.lgn.txtWidth);
-              }
-              else {
-                x = g.lgn.pad;
-              }
-              return x;
-            })
-            .attr("y", function (e) {
-              var y;
-              if (g.lgn.use == "T" || g.lgn.use == "B") {
-                y = g.lgn.pad;
-              }
-              else {
-                y = g.lgn.pad + g.lgn.itmHeight * i;
-              }
-              return y;
-            })
-            // .style("opacity", "0")
-            .attr("width", g.lgn.box[0])
-            .attr("height", g.lgn.box[1])
-            .style("fill", function (e) {
-              return g.cScale(e);
-            })
-
-          ;
-          d3.select(this)
-            .append("text")
-            //					.attr("x","0")		// Initialize to zero to have legend grow from top
-            //					.attr("y","0")
-            .attr("x", function (e) {
-              var x;
-              if (g.lgn.use == "T" || g.lgn.use == "B") {
-                x = i * (g.lgn.txtOff + g.lgn.txtWidth) + g.lgn.txtOff;
-              }
-              else {
-                x = g.lgn.txtOff;
-              }
-              return x;
-            })
-            .attr("y", function (e) {
-              var y;
-              if (g.lgn.use == "T" || g.lgn.use == "B") {
-                y = g.lgn.pad + 11;
-              }
-              else {
-                y = g.lgn.pad + g.lgn.itmHeight * i + 11;
-              }
-              return y;
-            })
-            // .style("opacity", "0")
-            .text(function (e) {
-              return e;
-            })
-
-          ;
-        })
-      ;
+        .call(addBarKeys, g);
     }
-
     d3.select('[id="' + g.id + '"] .ldw-d') // Dimension labels styling
       .selectAll('.tick')
       .each(function(tick , i){
@@ -1362,16 +1085,16 @@ export default {
     let textBox = g.tref.node().getBBox();
     let barHeight = g.orientation == ORIENTATION_VERTICAL
       ? Math.abs(g.mScale(0) - g.mScale(d.qNum))
-      : g.dScale.rangeBand();
+      : g.barWidth(d);
     var barWidth = g.orientation == ORIENTATION_VERTICAL
-      ? g.dScale.rangeBand()
+      ? g.barWidth(d)
       : Math.abs(g.mScale(0) - g.mScale(d.qNum));
     let txt = "";
 
     let top;
     let left;
     if (g.orientation == ORIENTATION_VERTICAL) {
-      left = g.dScale(d.dim1);
+      left = g.barPos(d);
 
       if (type == TYPE_TOTAL_NEG) {
         // Push the top of the negative totals to below the bars
@@ -1380,7 +1103,7 @@ export default {
         top = g.mScale(d.qNum < 0 ? offset : offset + d.qNum);
       }
     } else {
-      top = g.dScale(d.dim1);
+      top = g.barPos(d);
 
       if (type == TYPE_TOTAL_NEG) {
         // Push the left of the negative totals to the left of the bars
@@ -1470,9 +1193,22 @@ export default {
   updateBars: function () {
     var g = this;
 
+    if (g.panels) {
+      g.panels.forEach(function (panel) { panel.updateBars(); });
+      return;
+    }
+    if (!g.svg || (g.status && g.status.blocking)) return;
+
     var dim1 = g.data.map(function (d) { return d.dim1; });
     if (g.orientation == ORIENTATION_HORIZONTAL) dim1.reverse();
-    g.dScale.domain(dim1);
+    if (g.mekko) {
+      updateMekkoScales(g, g.mekkoExtent);
+    }
+    else {
+      g.dScale.domain(dim1);
+    }
+    g.updateSlotScale();
+    g.updateValueScale();
     g.mScale.domain([g.min, g.max]);
     const isPrinting = qlik.navigation && !qlik.navigation.inClient;
     const transitionDelay = g.transitions && !g.editMode && !isPrinting ? g.transitionDelay : 0;
@@ -1543,10 +1279,13 @@ export default {
         }
       }
     };
-    // Update dimension axis
+    // Update dimension axis, its labels select their value
     updateAxis(g.labelTitleD, g.labelStyleD, g.dAxis, "ldw-d", g.orientation == ORIENTATION_VERTICAL);
+    g.svg.selectAll(".ldw-d .tick text")
+      .classed("ldwselectable", true)
+      .on("click", function (dim1) { g.selectDim1(dim1); });
     // Update measure axis
-    updateAxis(g.labelTitleM, g.labelStyleM, g.mAxis, "ldw-m", g.orientation != ORIENTATION_VERTICAL);
+    updateAxis(g.measureLabelTitle(), g.labelStyleM, g.mAxis, "ldw-m", g.orientation != ORIENTATION_VERTICAL);
 
     g.bars = g.svg.selectAll('[id="' + g.id + '"] .ldwbar')
       .data(g.flatData);
@@ -1563,7 +1302,7 @@ export default {
     // Remove totals with transition
     if (~"TA".indexOf(g.showTexts)) {
       g.totalsPos = g.svg.selectAll('[id="' + g.id + '"] .ldwtot .pos')
-        .data(g.data, function (d) { return d.dim1; });
+        .data(g.data, g.stackKey);
       g.totalsPos
         .exit()
         .transition()
@@ -1573,7 +1312,7 @@ export default {
         .style("opacity", "0")
         .remove();
       g.totalsNeg = g.svg.selectAll('[id="' + g.id + '"] .ldwtot .neg')
-        .data(g.data, function (d) { return d.dim1; });
+        .data(g.data, g.stackKey);
       g.totalsNeg
         .exit()
         .transition()
@@ -1600,7 +1339,7 @@ export default {
 
     if (g.showDeltas && g.nDims == 2) {
       g.polys = g.svg.selectAll('[id="' + g.id + '"] polygon')
-        .data(g.deltas, function (d) { return d.dim1p + "-" + d.dim1c + "," + d.dim2; });
+        .data(g.deltas, function (d) { return d.dim1p + "-" + d.dim1c + "," + d.series; });
       // Remove deltas with transition
       g.polys
         .exit()
@@ -1611,22 +1350,7 @@ export default {
         .style("opacity", "0")
         .remove();
     }
-    // remove legend items with transition
-    if (g.lgn.use) {
-      g.lgn.items = d3.selectAll('[id="' + g.id + '"] .ldwlgnitems')
-        .selectAll("g")
-        .data(g.allDim2,g.allDim2.forEach(element => element));
-      g.lgn.items
-        .exit()
-        .transition()
-        .delay(tDelay)
-        .duration(tDuration)
-        .ease(g.ease)
-        .style("opacity", "0")
-        .remove();
-    }
-
-    // Add any new bars/deltas/legend items
+    // Add any new bars/deltas
     this.createBars();
 
     // Update bars
@@ -1636,24 +1360,21 @@ export default {
         .delay(tDelay)
         .duration(tDuration)
         .ease(g.ease)
-        .style("fill", function (d) {
-          if(g.defMeas === 2 && g.measures[0] === g.measures[1]){
-            return g.cScale(d.dim2 + d.measureNumber);
-          }
-          return g.cScale(d.dim2); })
         .style("opacity", "1")
-        .style("fill", function (d) {
-          return g.cScale(d.dim2);
-        })
+        .styleTween("fill", fillTween(function (d) {
+          return g.barFill(d);
+        }))
         .attr("x", function (d, i) {
-          return g.dScale(d.dim1) ? g.dScale(d.dim1) : 0; // ignore NaN: causing errors in transitions
+          return g.barPos(d) ? g.barPos(d) : 0; // ignore NaN: causing errors in transitions
         })
         .attr("y", function (d) {
           const num = Number.isFinite(d.qNum) ? d.qNum : 0;
           const offset = Number.isFinite(d.offset) ? d.offset : 0; // in transition elastic, we somehow concatinate 0 and NaN into "0NaN"
           return g.mScale(offset) - (g.mScale(0) - g.mScale(Math.max(0, num))) + 0.5;
         })
-        .attr("width", g.dScale.rangeBand() && g.dScale.rangeBand() > 0 ? g.dScale.rangeBand() : 0) // ignore NaN: causing errors in transitions
+        .attr("width", function (d) {
+          return g.barWidth(d) && g.barWidth(d) > 0 ? g.barWidth(d) : 0; // ignore NaN: causing errors in transitions
+        })
         .attr("height", function (d) {
           const num = Number.isFinite(d.qNum) ? d.qNum : 0;
           const offset = Number.isFinite(d.offset) ? d.offset : 0; // in transition elastic, we somehow concatinate 0 and NaN into "0NaN"
@@ -1667,20 +1388,23 @@ export default {
         .duration(tDuration)
         .ease(g.ease)
         .style("opacity", "1")
+        .styleTween("fill", fillTween(function (d) {
+          return g.barFill(d);
+        }))
         .attr("x", function (d) {
           const num = Number.isFinite(d.qNum) ? d.qNum : 0;
           const offset = Number.isFinite(d.offset) ? d.offset : 0; // in transition elastic, we somehow concatinate 0 and NaN into "0NaN"
           return g.mScale(offset) - (g.mScale(0) - g.mScale(Math.min(0, num))) + 0.5;
         })
         .attr("y", function (d, i) {
-          return g.dScale(d.dim1);
+          return g.barPos(d);
         })
         .attr("width", function (d) {
           const num = Number.isFinite(d.qNum) ? d.qNum : 0;
           const offset = Number.isFinite(d.offset) ? d.offset : 0; // in transition elastic, we somehow concatinate 0 and NaN into "0NaN"
           return Math.abs(g.mScale(0) - g.mScale(num)) - 1;
         })
-        .attr("height", g.dScale.rangeBand());
+        .attr("height", function (d) { return g.barWidth(d); });
     }
 
     if (~"TA".indexOf(g.showTexts) && !g.normalized) {
@@ -1690,7 +1414,7 @@ export default {
         g.totalsPos
           .each(function (d) {
             d.qNum = minMax[1] - d.offsetPos;
-            d.qText = d3.format([",.g", ",.0%", "s", g.totalFormatMs]["NPSC".indexOf(g.totalFormatM)])(d.offsetPos);
+            d.qText = d3.format([",.g", ",.0%", "s", g.totalFormatMs]["NPSC".indexOf(g.totalFormatM)])(d.totalPos);
             try {
               var txp = g.barText(d, TYPE_TOTAL_POS);
               d3.select(this)
@@ -1699,7 +1423,7 @@ export default {
                 .duration(tDuration)
                 .ease(g.ease)
                 .style("opacity", "1")
-                .style("fill", "black")
+                .style("fill", g.totalColor())
                 .style("font-size", g.tref.style("font-size"))
                 .attr({ x: txp.x, y: txp.y })
                 .text(txp.text);
@@ -1713,7 +1437,7 @@ export default {
         g.totalsNeg
           .each(function (d) {
             d.qNum = minMax[0] - d.offsetNeg;
-            d.qText = d3.format([",.g", ",.0%", "s", g.totalFormatMs]["NPSC".indexOf(g.totalFormatM)])(d.offsetNeg);
+            d.qText = d3.format([",.g", ",.0%", "s", g.totalFormatMs]["NPSC".indexOf(g.totalFormatM)])(d.totalNeg);
             try {
               var txp = g.barText(d, TYPE_TOTAL_NEG);
               d3.select(this)
@@ -1722,7 +1446,7 @@ export default {
                 .duration(tDuration)
                 .ease(g.ease)
                 .style("opacity", "1")
-                .style("fill", "black")
+                .style("fill", g.totalColor())
                 .style("font-size", g.tref.style("font-size"))
                 .attr({ x: txp.x, y: txp.y })
                 .text(txp.text);
@@ -1746,7 +1470,7 @@ export default {
               .duration(tDuration)
               .ease(g.ease)
               .style("opacity", "1")
-              .style("fill", g.textColor == "Auto" ? g.txtColor(g.cScale(d.dim2)) : g.textColor)
+              .style("fill", g.textColor == "Auto" ? g.txtColor(g.barColor(d)) : g.textColor)
               .style("font-size", g.tref.style("font-size"))
               .attr({ x: txp.x, y: txp.y })
               .text(txp.text);
@@ -1757,23 +1481,30 @@ export default {
         });
     }
 
+    if (g.waterfall) {
+      updateConnectors(g, tDelay, tDuration);
+    }
+
+    if (g.areaChart) {
+      updateAreas(g, tDelay, tDuration);
+    }
+
     if (g.showDeltas && g.nDims === 2) {
       // update deltas
 
       const zeroMeasureScale = g.mScale(0);
-      const dimensionScaleRange = g.dScale.rangeBand();
 
       g.polys.transition()
         .delay(tDelay)
         .duration(tDuration)
         .ease(g.ease)
         .attr('points', function (datum) {
-          const fromBar = g.dScale(datum.dim1p);
-          const toBar = g.dScale(datum.dim1c);
-          const distance = fromBar + dimensionScaleRange;
+          const fromBar = g.barPos({ dim1: datum.dim1p, slot: datum.slot });
+          const toBar = g.barPos({ dim1: datum.dim1c, slot: datum.slot });
+          const distance = fromBar + g.barWidth({ dim1: datum.dim1p, slot: datum.slot });
 
           if (g.orientation === ORIENTATION_VERTICAL) {
-            let x1 = fromBar + dimensionScaleRange;
+            let x1 = distance;
             let x2 = toBar;
             let y1 = g.mScale(datum.points[0]) - (zeroMeasureScale - g.mScale(datum.points[2]));
             let y2 = g.mScale(datum.points[0]);
@@ -1790,93 +1521,226 @@ export default {
           let y2 = toBar;
           return `${x1},${y1} ${x2},${y1} ${x3},${y2} ${x4},${y2}`;
         })
-        .style("fill", function (d) {
-          return g.cScale(d.dim2);
-        })
+        .styleTween("fill", fillTween(function (d) {
+          return g.seriesFill(d.series);
+        }))
         .style("opacity", g.barGap == 1 ? "1" : "0.5")
       ;
     }
-    // update legend items
-    if (g.lgn.use) {
-      if (g.lgn.use == "T" || g.lgn.use == "B") {
-        var btnsWidth = g.lgn.btnContainer ? g.lgn.btnContainer[0][0].clientWidth : 0;
-        var maxprow = Math.floor((g.lgn.width - btnsWidth) / (g.lgn.txtOff + g.lgn.txtWidth));
-        var nprow = maxprow;
-      }
+    g.updateLegend(tDelay, tDuration);
+    renderStates(g);
+    updateAccessibility(g);
+  },
 
+  /**
+   *--------------------------------------
+   * Update Legend
+   *--------------------------------------
+   * Bind g.allSeries to the legend items, remove, add and position them
+   */
+  updateLegend: function (tDelay, tDuration) {
+    var g = this;
+    if (g.vScale) return; // The color legend has no items
+    // remove legend items with transition
+    if (g.lgn.use) {
+      g.lgn.items = d3.selectAll('[id="' + g.id + '"] .ldwlgnitems')
+        .selectAll("g")
+        .data(g.allSeries,g.allSeries.forEach(element => element));
+      g.lgn.items
+        .exit()
+        .transition()
+        .delay(tDelay)
+        .duration(tDuration)
+        .ease(g.ease)
+        .style("opacity", "0")
+        .remove();
+    }
+    // measure and place legend items, then add new ones
+    if (g.lgn.use) {
+      layoutLegendItems(g);
       g.lgn.items
-        .each(function (d, i) {
+        .enter()
+        .append("g")
+        .attr("class",g.self && g.self._inEditState ? "ldwlgnitem" : "ldwlgnitem analysis-mode")
+        .call(addLegendKeys, g)
+        .on('click', function(e) {
+          if (g.legendClick == LEGEND_CLICK_HIDE && !g.waterfall) {
+            if (!g.editMode) g.toggleSeries(e);
+            return;
+          }
+          if (g.self && g.self._inEditState) return;
+          g.selectSeries(e);
+        })
+        .on('mouseenter', function(e){
+          if (g.self && g.self.$scope.options.interactionState === 2) return;
           d3.select(this)
-            .transition()
-            .delay(tDelay)
-            .duration(tDuration)
-            .select("rect")
-            .attr("x", function (e) {
-              var x;
-              if (g.lgn.use == "T" || g.lgn.use == "B") {
-                x = (i % nprow) * (g.lgn.txtOff + g.lgn.txtWidth);
+            .classed('legendHover');
+          d3.selectAll('rect')
+            .filter(function(d){
+              if (g.defDims >= 2){
+                if (d && d.dim2){
+                  if (d.series === e){
+                    d3.select(this)
+                      .style("opacity", "0.5")
+                      .attr("stroke", "white")
+                      .attr("stroke-width", "2");
+                  }
+                }
               }
-              else {
-                x = g.lgn.pad;
+              else{
+                if (d && d.dim1){
+                  if (d.series === e){
+                    d3.select(this)
+                      .style("opacity", "0.5")
+                      .attr("stroke", "white")
+                      .attr("stroke-width", "2");
+                  }
+                }
               }
-              return x;
-            })
-            .attr("y", function (e) {
-              var y;
-              if (g.lgn.use == "T" || g.lgn.use == "B") {
-                y = g.lgn.pad + Math.floor(i / nprow) * g.lgn.itmHeight;
+            });
+        })
+        .on('mouseleave', function(e){
+          d3.selectAll('rect')
+            .filter(function(d){
+              if (g.defDims >= 2){
+                if (d && d.dim2){
+                  if (d.series === e){
+                    d3.select(this)
+                      .style("opacity", "1.0")
+                      .attr("stroke", "none");
+                  }
+                }
               }
-              else {
-                y = g.lgn.pad + g.lgn.itmHeight * i;
+              else{
+                if (d && d.dim1){
+                  if (d.series === e){
+                    d3.select(this)
+                      .style("opacity", "1.0")
+                      .attr("stroke", "none");
+                  }
+                }
               }
-              return y;
+            });
+        })
+        .each(function (d) {
+          var pos = g.lgn.positions[d];
+          d3.select(this)
+            .append("rect")
+            .attr("x", pos.x)
+            .attr("y", pos.y)
+            .attr("width", g.lgn.box[0])
+            .attr("height", g.lgn.box[1])
+            .style("fill", function (e) {
+              return g.seriesFill(e);
             })
+          ;
+          d3.select(this)
+            .append("text")
+            .attr("x", pos.x + g.lgn.box[0] + g.lgn.sep)
+            .attr("y", pos.y + 11)
+            .each(function (e) {
+              g.legendLabel(this, e);
+            })
+          ;
+        })
+      ;
+    }
+    // update legend items
+    if (g.lgn.use) {
+      g.lgn.items
+        .classed("ldwlgnhidden", function (e) { return g.seriesHidden(e); })
+        .each(function (d) {
+          var pos = g.lgn.positions[d];
+          d3.select(this)
+            .transition()
+            .delay(tDelay)
+            .duration(tDuration)
+            .select("rect")
+            .attr("x", pos.x)
+            .attr("y", pos.y)
             .style("opacity", "1")
-            .style("fill", function (e) {
-              return g.cScale(e);
-            });
-          var txt = d3.select(this)
+            .styleTween("fill", fillTween(function (e) {
+              return g.seriesFill(e);
+            }));
+          d3.select(this)
             .transition()
             .delay(tDelay)
             .duration(tDuration)
             .select("text")
-            .attr("x", function (e) {
-              var x;
-              if (g.lgn.use == "T" || g.lgn.use == "B") {
-                x = (i % nprow) * (g.lgn.txtOff + g.lgn.txtWidth) + g.lgn.txtOff;
-              }
-              else {
-                x = g.lgn.txtOff;
-              }
-              return x;
-            })
-            .attr("y", function (e) {
-              var y;
-              if (g.lgn.use == "T" || g.lgn.use == "B") {
-                y = g.lgn.pad + Math.floor(i / nprow) * g.lgn.itmHeight + 11;
-              }
-              else {
-                y = g.lgn.pad + g.lgn.itmHeight * i + 11;
-              }
-              return y;
-            })
-            .style("opacity", "1")
-            .text(function(e){
-              return e;
+            .attr("x", pos.x + g.lgn.box[0] + g.lgn.sep)
+            .attr("y", pos.y + 11)
+            .style("opacity", "1");
+          d3.select(this)
+            .select("text")
+            .each(function (e) {
+              g.legendLabel(this, e);
             });
-          txt.each(function (d, i) {
-            var self = d3.select(this),
-              textLength = self.node().getComputedTextLength(),
-              text = self.text();
-            while (textLength > g.lgn.txtWidth && text.length > 0) {
-              text = text.slice(0, -1);
-              self.text(text + '\u2026');
-              textLength = self.node().getComputedTextLength();
-            }
-          });
         });
+      updateLegendLabels(g.lgn.items);
     }
   },
+  // Text of a legend entry and its value, the series is shortened to fit so that the value stays visible
+  // The text is as wide as its place in the legend, unless a maximum width is given
+  legendLabel: function (node, series, maxWidth) {
+    var g = this;
+    var pos = g.lgn.positions && g.lgn.positions[series];
+    var width = maxWidth !== undefined ? maxWidth : (pos ? pos.textWidth : Infinity);
+    var text = String(series);
+    var value = g.legendValue(series);
+    var label = d3.select(node).text("");
+    var name = label.append("tspan").text(text);
+    if (value) {
+      label.append("tspan")
+        .attr("class", "ldwlgnvalue")
+        .attr("dx", "0.4em")
+        .text(value);
+    }
+    while (node.getComputedTextLength() > width && text.length > 0) {
+      text = text.slice(0, -1);
+      name.text(text + '\u2026');
+    }
+  },
+  // Value next to a legend entry, formatted with the number format of the measure of the series
+  legendValue: function (series) {
+    var g = this;
+    if (!g.legendValues || g.legendValues == LEGEND_VALUES_NONE || g.waterfall) return "";
+    var data = g.colorValues || g.flatData;
+    var bars = data.filter(function (d) { return d.series === series; });
+    if (!bars.length) return "";
+    var numFormat = g.numFormats && g.numFormats[bars[0].measure || 0];
+    if (g.legendValues == LEGEND_VALUES_HOVER && g.hoverBars) {
+      var bar = g.hoverBars.find(function (d) { return d.series === series; });
+      return bar ? formatNumber(bar.value, numFormat) : "-";
+    }
+    if (g.legendValues == LEGEND_VALUES_SHARE) {
+      // Shares of different measures can not be added up, shares are of the sizes of the bars
+      if (g.defDims == 0 || (g.defDims == 1 && g.defMeas > 1)) return "-";
+      var size = function (d) { return Math.abs(d.value) || 0; };
+      var grandTotal = d3.sum(data.filter(function (d) { return d.measure === bars[0].measure; }), size);
+      return grandTotal ? d3.format(".1%")(d3.sum(bars, size) / grandTotal) : "-";
+    }
+    var total = d3.sum(bars, function (d) { return d.value; });
+    return formatNumber(total, numFormat);
+  },
+  // Show the values of hovered bars in the legend, null shows the totals again
+  hoverLegend: function (bars) {
+    var g = this;
+    if (g.legendValues != LEGEND_VALUES_HOVER || !g.lgn || !g.lgn.use || g.vScale) return;
+    g.hoverBars = bars;
+    d3.selectAll('[id="' + g.id + '"] .ldwlgnitems text')
+      .each(function (e) {
+        g.legendLabel(this, e);
+      });
+  },
+  // Style bars and legend entries from the selection states of their values, also in trellis panels
+  updateStates: function () {
+    renderStates(this);
+    (this.panels || []).forEach(function (panel) {
+      if (panel.svg) {
+        renderStates(panel);
+      }
+    });
+  },
 
   /**
  *--------------------------------------
@@ -1885,8 +1749,472 @@ export default {
  * Refresh chart, no new data
 */
   refreshChart: function () {
-    this.initChart();
-    this.updateBars();
+    if (this.status && this.status.blocking) {
+      this.component.selectAll("*").remove();
+      this.svg = null;
+      this.patternDefs = null;
+    }
+    else if (this.panels) {
+      refreshTrellis(this);
+    }
+    else {
+      this.initChart();
+      this.updateBars();
+    }
+    renderStatus(this);
+  },
+  /**
+   *--------------------------------------
+   * Bar Position
+   *--------------------------------------
+   * Position and width of a bar along the dimension axis
+   * Bars with a slot are placed side by side within the dimension band,
+   * stacks may span several slots (slotSpan)
+   */
+  barPos: function (d) {
+    var pos = this.dScale(d.dim1);
+    return d.slot === undefined ? pos : pos + this.sScale(d.slot);
+  },
+  barWidth: function (d) {
+    if (this.bandWidths) {
+      return this.bandWidths[d.dim1] || 0;
+    }
+    if (d.slot === undefined) {
+      return this.dScale.rangeBand();
+    }
+    if (d.slotSpan > 1) {
+      return this.sScale(d.slot + d.slotSpan - 1) + this.sScale.rangeBand() - this.sScale(d.slot);
+    }
+    return this.sScale.rangeBand();
+  },
+  updateSlotScale: function () {
+    this.sScale = d3.scale.ordinal()
+      .domain(d3.range(this.nSlots))
+      .rangeBands([0, this.dScale.rangeBand()], this.nSlots > 1 ? 0.1 : 0);
+  },
+  /**
+   *--------------------------------------
+   * Update Extent
+   *--------------------------------------
+   * Set g.min and g.max of the measure axis from the data
+   * A fixed extent (g.fixedExtent) is used instead when scales are shared between plotting areas
+   */
+  updateExtent: function () {
+    var g = this;
+    if (g.fixedExtent) {
+      g.min = g.fixedExtent[0];
+      g.max = g.fixedExtent[1];
+      return;
+    }
+    g.max = d3.max(g.data, function (d) {
+      if (g.normalized) {
+        return d.offsetPos && d.offsetPos > 0 ? g.gridHeight : 0;//g.gridHeight;
+      }
+
+      var maxOffset = Math.max(0, d.offsetPos);
+      if (d.values) {
+        d.values.forEach(dataObject => {
+          if (dataObject.offset > maxOffset) {
+            maxOffset = dataObject.offset;
+          }
+        });
+      }
+
+      return maxOffset * g.gridHeight;
+    });
+
+    g.min = d3.min(g.data, function (d) {
+      if (g.normalized) {
+        return d.offsetNeg && d.offsetNeg < 0 ? -g.gridHeight : 0;
+      }
+
+      var minOffset = Math.min(0, d.offsetNeg);
+      if (d.values) {
+        d.values.forEach(dataObject => {
+          if (dataObject.offset < minOffset) {
+            minOffset = dataObject.offset;
+          }
+        });
+      }
+
+      return minOffset * g.gridHeight;
+    });
+  },
+  /**
+   *--------------------------------------
+   * Layout Legend
+   *--------------------------------------
+   * Reserve space for the legend, if any, in the layout of a plotting area
+   * Input:	layout.margin, layout.innerWidth, layout.innerHeight
+   *			layout.xAxisSpace, layout.yAxisSpace (axis labels and titles)
+   *			layout.pad (padding next to the axes)
+   * Output:	g.lgn, layout is reduced by the space taken by the legend
+   */
+  layoutLegend: function (layout) {
+    var g = this, margin = layout.margin;
+
+    g.lgn = {
+      minDim: [200, 100], // min inner dimensions for legend to be displayed
+      use: "",
+      pad: 0,
+      sep: 5,
+      box: [12, 12], // legend item color box
+      itmHeight: 20,
+    };
+    g.lgn.txtOff = g.lgn.box[0] + g.lgn.pad + g.lgn.sep;
+
+    // adjust for legend if any
+    g.lgn.use = g.showLegend ? g.legendPosition : "";
+    if (g.lgn.use) {
+      if (g.lgn.use == "L" || g.lgn.use == "R") {
+        if (layout.innerWidth <= g.lgn.minDim[0]) {
+          g.lgn.use = "";
+        }
+        else {
+          g.lgn.width = layout.innerWidth / ([4, 6, 10]["WMN".indexOf(g.legendSize)]);
+          layout.innerWidth -= (g.lgn.width + layout.pad);
+          g.lgn.height = layout.innerHeight + layout.xAxisSpace;
+          g.lgn.y = margin.top;
+          if (g.lgn.use == "L") {
+            g.lgn.x = layout.pad;
+            margin.left += g.lgn.width + g.lgn.x;
+          }
+          else {
+            g.lgn.x = margin.left + layout.innerWidth + layout.pad;
+          }
+        }
+      }
+      else if (g.lgn.use == "T" || g.lgn.use == "B") {
+        if (layout.innerHeight <= g.lgn.minDim[1]) {
+          g.lgn.use = "";
+        }
+        else {
+          g.lgn.width = layout.innerWidth + layout.yAxisSpace;
+          g.lgn.height = g.lgn.itmHeight * (3 - "WMN".indexOf(g.legendSize));
+          layout.innerHeight -= g.lgn.height;
+          g.lgn.x = layout.pad;
+          if (g.lgn.use == "T") {
+            g.lgn.y = margin.top;
+            margin.top += g.lgn.height;
+          }
+          else {
+            g.lgn.y = margin.bottom + layout.innerHeight;
+            layout.innerHeight -= 10;
+          }
+        }
+      }
+    }
+  },
+  /**
+   *--------------------------------------
+   * Create Legend
+   *--------------------------------------
+   * Create the legend container and pager, legend items are added and placed by updateLegend
+   */
+  createLegend: function () {
+    var g = this;
+    if (g.lgn.use && g.vScale) {
+      createColorLegend(g);
+      return;
+    }
+    if (g.lgn.use) {
+      var legendPosition = g.legendPosition;
+      const legendPadding = 10;
+
+      var lgn = g.component
+        .append('div')
+        .attr('id', 'ldwlegend')
+        .style('transform', `translate(${g.lgn.x - legendPadding}px, ${g.lgn.y - legendPadding}px)`)
+        .style('height' , g.lgn.height + 'px')
+        .style('width' , g.lgn.width + 'px')
+        .style('flex-direction',
+          legendPosition === 'R' || legendPosition === 'L' ? 'column' : 'row-reverse')
+        .style('overflow', 'hidden');
+      if (legendPosition === 'R') {
+        lgn.style('padding-left' , '25px');
+      } else if (legendPosition === 'T' || legendPosition === 'B') {
+        lgn.style('padding-right' , '50px');
+      }
+
+      g.lgn.container = lgn.append('div')
+        .attr('class', 'lgnContainer')
+        .style('height' , '100%')
+        .style('width' , '100%')
+        .style('overflow', 'hidden');
+
+      var legendItems = g.lgn.container.append("svg")
+        .attr('class', 'ldwlgnitems')
+        .style('width' , '100%');
+
+      g.lgn.items = legendItems
+        .selectAll("g")
+        .data(g.allSeries);
+
+      createLegendPager(g, lgn);
+    }
+  },
+  // Color of the series
+  colorScale: function () {
+    var g = this;
+    let colorSchema = getColorSchemaByName(g.colorSchema).colors;
+
+    if (g.waterfall) {
+      return waterfallColors(g);
+    } else if (g.singleColor) {
+      return () => (g.color && g.color.color) || getDefaultSingleColor().color;
+    } else if (g.persistentColors) {
+      return persistentColorScale(g, colorSchema, g.colorValues || g.flatData);
+    }
+    return d3.scale.ordinal().range(colorSchema).domain(g.allSeries);
+  },
+  // Whether a series is hidden by a click on its legend entry
+  seriesHidden: function (series) {
+    return this.legendClick == LEGEND_CLICK_HIDE && !this.waterfall
+      && Array.isArray(this.hiddenSeries) && this.hiddenSeries.indexOf(series) != -1;
+  },
+  // Hide or show a series, the last visible series can not be hidden
+  toggleSeries: function (series) {
+    var g = this;
+    var hidden = (g.hiddenSeries || []).filter(function (e) { return g.allSeries.indexOf(e) != -1; });
+    var i = hidden.indexOf(series);
+    if (i != -1) {
+      hidden.splice(i, 1);
+    }
+    else if (hidden.length < g.allSeries.length - 1) {
+      hidden.push(series);
+    }
+    else {
+      return;
+    }
+    g.hiddenSeries = hidden;
+    g.initData();
+    g.refreshChart();
+    if (g.self) {
+      g.self.backendApi.applyPatches([{
+        qOp: "replace",
+        qPath: "/props/hiddenSeries",
+        qValue: JSON.stringify(hidden)
+      }], true)
+        .catch(function (error) {
+          console.error(error); // eslint-disable-line no-console
+        });
+    }
+  },
+  /**
+   *--------------------------------------
+   * Select Series
+   *--------------------------------------
+   * Select the dimension value of a legend entry: the second dimension with two or more
+   * dimensions, the first with one dimension and one measure. Measures and waterfall
+   * entries can not be selected. In CONFIRM mode the value is toggled, the legend entry
+   * is styled from the selection state of the value when the data is updated.
+   */
+  selectSeries: function (series) {
+    var g = this;
+    var dim = g.defDims >= 2 ? 1 : 0;
+    if (g.waterfall || g.defDims == 0 || (g.defDims == 1 && g.defMeas > 1)) return;
+
+    var bars = g.component.selectAll(".ldwbar")
+      .filter(function (d) { return d && d.series === series; });
+    var elems = [];
+    bars.each(function (d) {
+      var elem = dim == 1 ? d.qElemNumber[1] : d.qElemNumber;
+      if (elem >= 0 && elems.indexOf(elem) == -1) {
+        elems.push(elem);
+      }
+    });
+    if (!elems.length) return;
+
+    if (g.selectionMode == "QUICK") {
+      g.self.backendApi.selectValues(dim, elems, false);
+    }
+    else if (g.selectionMode == "CONFIRM") {
+      g.self.selectValues(dim, elems, true);
+    }
+  },
+  /**
+   *--------------------------------------
+   * Select Bar
+   *--------------------------------------
+   * Select the dimension values of a bar, from a click or a tap
+   * In CONFIRM mode a selected bar is deselected
+   */
+  selectBar: function (d) {
+    var g = this;
+    if (g.defDims >= 2){ //if we have two Dims
+      if ( d && d.dim2 ){
+        if (g.selectionMode == "QUICK") {
+          g.self.backendApi.selectValues(1, [d.qElemNumber[1]], false);
+          g.self.backendApi.selectValues(0, [d.qElemNumber[0]], false);
+        }
+        else if (g.selectionMode == "CONFIRM") {
+          let selectedArrayDim1=[];
+          if(g.self.selectedArrays){
+            selectedArrayDim1 = g.self.selectedArrays[0];
+          }
+          let selectedArrayDim2=[];
+          if(g.self.selectedArrays){
+            selectedArrayDim2 = g.self.selectedArrays[1];
+          }
+          if(
+            selectedArrayDim1.indexOf(d.qElemNumber[0]) !== -1
+          && selectedArrayDim2.indexOf(d.qElemNumber[1]) !== -1 )
+
+          {
+            g.self.selectValues(1, [d.qElemNumber[1]], true);
+            g.self.selectValues(0, [d.qElemNumber[0]], true);
+          }
+          else{
+            g.self.selectValues(1, [d.qElemNumber[1]], false);
+            g.self.selectValues(0, [d.qElemNumber[0]], false);
+          }
+
+          g.hideBarTooltip();
+        }
+      }
+    }
+    if (g.defDims == 1){
+      if (d.qElemNumber < 0) return; // Cannot select a waterfall total
+      if (g.selectionMode == "QUICK") {
+        g.self.backendApi.selectValues(0, [d.qElemNumber], true);
+      }
+      else if (g.selectionMode == "CONFIRM") {
+        let selectedArrayDim1 = [];
+        if (g.self.selectedArrays){
+          selectedArrayDim1 = g.self.selectedArrays[0];
+        }
+        if (selectedArrayDim1 && selectedArrayDim1.indexOf(d.qElemNumber) !== -1){
+          g.self.selectValues(0, [d.qElemNumber], true);
+        } else {
+          g.self.selectValues(0, [d.qElemNumber], false);
+        }
+
+        g.hideBarTooltip();
+      }
+    }
+  },
+  // Heading and value of the tooltip of a bar, also its accessible label
+  barTooltip: function (d) {
+    var g = this;
+    return [
+      g.nDims == 2 ? d.dim1 + ", " + d.series : d.dim1,
+      g.nDims == 2
+        ? (g.normalized ? d.qTextPct + ", " + d.qText : d.qText)
+        : d.qText
+    ];
+  },
+  // Heading and value of the tooltip of a delta polygon
+  deltaTooltip: function (d) {
+    var g = this;
+    return [
+      d.series + ", " + d.dim1p + "-" + d.dim1c,
+      d3.format(g.normalized ? "+.1%" : "+.3s")(d.delta)
+    ];
+  },
+  // Show the tooltip and legend values of a bar after a delay in ms
+  showBarTooltip: function (node, d, delay) {
+    var g = this;
+    (g.trellisHost || g).hoverLegend(g.flatData.filter(function (e) { return e.dim1 === d.dim1; }));
+    // Place text in tooltip
+    var text = g.barTooltip(d);
+    d3.select('[id="' + g.id + '"] .ldwttheading')
+      .text(text[0]);
+    d3.select('[id="' + g.id + '"] .ldwttvalue')
+      .text(text[1]);
+
+    var matrix = node.getScreenCTM()
+      .translate(+node.getAttribute("x"), +node.getAttribute("y"));
+
+    var xPosition = (window.pageXOffset + matrix.e)
+      - d3.select('[id="' + g.id + '"] .ldwtooltip')[0][0].clientWidth / 2
+      + (g.orientation == ORIENTATION_VERTICAL ? g.barWidth(d) : d3.select(node).attr("width")) / 2
+      ;
+    var yPosition = (window.pageYOffset + matrix.f)
+      - d3.select('[id="' + g.id + '"] .ldwtooltip')[0][0].clientHeight
+      - 10
+      ;
+    d3.select('[id="' + g.id + '"] .ldwtooltip')
+      .style("left", xPosition + "px")
+      .style("top", yPosition + "px")
+      .transition()
+      .delay(delay)
+      .style("opacity", "0.95")
+    ;
+  },
+  // Hide the tooltip and show the legend totals again
+  hideBarTooltip: function () {
+    var g = this;
+    (g.trellisHost || g).hoverLegend(null);
+    // The new transition cancels a tooltip that is about to be shown
+    d3.select('[id="' + g.id + '"] .ldwtooltip')
+      .style("opacity", "0")
+      .transition()
+    ;
+  },
+  /**
+   *--------------------------------------
+   * Select Dimension Value
+   *--------------------------------------
+   * Select a value of the first dimension, from a click on its axis label or stack total
+   * Like a click on a bar, in CONFIRM mode a selected value is deselected
+   */
+  selectDim1: function (dim1) {
+    var g = this;
+    if (!g.self || g.editMode) return;
+    var bars = g.svg.selectAll(".ldwbar")
+      .filter(function (d) { return d && d.dim1 === dim1; });
+    var elem;
+    bars.each(function (d) {
+      var e = Array.isArray(d.qElemNumber) ? d.qElemNumber[0] : d.qElemNumber;
+      if (e >= 0) elem = e;
+    });
+    if (elem === undefined) return; // Cannot select a measure or a waterfall total
+
+    if (g.selectionMode == "QUICK") {
+      g.self.backendApi.selectValues(0, [elem], true);
+    }
+    else if (g.selectionMode == "CONFIRM") {
+      var selectedArrayDim1 = g.self.selectedArrays ? g.self.selectedArrays[0] : [];
+      var t = !!selectedArrayDim1 && selectedArrayDim1.indexOf(elem) !== -1;
+      g.self.selectValues(0, [elem], t);
+    }
+  },
+  // Color of a series (legend entry), from the color expression if all of its bars share it
+  seriesColor: function (series) {
+    var color = this.allCol2 && this.allCol2[this.allSeries.indexOf(series)];
+    return color || this.cScale(series);
+  },
+  // Fill of a series, its color or a pattern over its color
+  seriesFill: function (series) {
+    return patternFill(this, this.seriesColor(series), series);
+  },
+  // Color of a bar, from the color expression if any, else from its value or series
+  barColor: function (d) {
+    if (d.color) {
+      return d.color;
+    }
+    return this.vScale && Number.isFinite(d.value) ? this.vScale(d.value) : this.seriesColor(d.series);
+  },
+  // Fill of a bar, its color or a pattern over its color
+  barFill: function (d) {
+    return patternFill(this, this.barColor(d), d.series);
+  },
+  // Scale of colors by measure value, trellis panels share the values of all panels
+  updateValueScale: function () {
+    this.vScale = isColorByValue(this) ? valueColorScale(this, this.colorValues || this.flatData) : null;
+  },
+  // Key of a stack, used when binding totals
+  stackKey: function (d) {
+    return d.slot === undefined ? d.dim1 : d.dim1 + "," + d.slot;
+  },
+  // Measure axis labels and title, the axis is meaningless for stream offsets
+  measureLabelTitle: function () {
+    return this.streamOffset ? "N" : this.labelTitleM;
+  },
+  // Measure axis tick format, diverging bars show magnitudes on both sides of zero
+  measureTickFormat: function () {
+    var format = d3.format(["s", ",.g", ",.0%", "s", this.axisFormatMs]["ANPSC".indexOf(this.axisFormatM)]);
+    return this.diverging ? function (d) { return format(Math.abs(d)); } : format;
   },
   //--------------------------------------
   // Topological sort
@@ -1928,13 +2256,12 @@ export default {
     }
   },
   /*- end https://github.com/marcelklehr/toposort */
-  /*- begin http://stackoverflow.com/questions/11867545 */
-  txtColor: function (hexcolor) {
-    var r = parseInt(hexcolor.substr(1, 2), 16);
-    var g = parseInt(hexcolor.substr(3, 2), 16);
-    var b = parseInt(hexcolor.substr(5, 2), 16);
-    var yiq = ((r * 299) + (g * 587) + (b * 114)) / 1000;
-    return (yiq >= 160) ? 'black' : 'white'; // 128 changed to 160 to give white preference
+  // Black or white text for a bar color, translucent bars are seen against the background
+  txtColor: function (color) {
+    return contrastText(color, this.backgroundColor);
+  },
+  // Theme color of totals, adjusted to be readable on the background
+  totalColor: function () {
+    return ensureContrast(getThemeStyle().valueLabelColor, this.backgroundColor);
   },
-  /*- end http://stackoverflow.com/questions/11867545 */
 };
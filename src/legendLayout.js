@@ -0,0 +1,145 @@
+/*
+ Layout of the legend items.
+
+ Labels are measured with the styles of the legend and placed in rows: one item per
+ row in a legend on the left or right, as many items as fit in a row in a legend on
+ the top or bottom. Only labels that do not fit in a row are shortened. Rows are shown
+ a page at a time, pages are turned with the pager buttons or the mouse wheel. The page
+ is kept on the chart, so it is the same after the chart is redrawn.
+ */
+
+import d3 from 'd3';
+
+const ITEM_GAPS = { N: 8, M: 16, W: 24 };
+const WHEEL_STEP = 50;
+
+function isVertical(g) {
+  return g.lgn.use == "L" || g.lgn.use == "R";
+}
+
+// Width of the label of each series, including its value
+function measureLabels(g, svg) {
+  const text = svg.append("text")
+    .style("visibility", "hidden");
+  const widths = g.allSeries.map(function (series) {
+    g.legendLabel(text.node(), series, Infinity);
+    return text.node().getComputedTextLength();
+  });
+  text.remove();
+  return widths;
+}
+
+// Position of each item, the number of rows and the rows per page, for a container size
+function placeItems(g, widths, width, height) {
+  const lgn = g.lgn;
+  const vertical = isVertical(g);
+  const gap = vertical ? 0 : ITEM_GAPS[g.legendSpacing] || ITEM_GAPS.M;
+  const maxText = Math.max(0, width - lgn.txtOff - lgn.pad);
+  const positions = {};
+  let x = 0, row = 0;
+  g.allSeries.forEach(function (series, i) {
+    const textWidth = Math.min(widths[i], maxText);
+    const itemWidth = lgn.txtOff + textWidth;
+    if (!vertical && x > 0 && x + itemWidth > width) {
+      x = 0;
+      row++;
+    }
+    positions[series] = {
+      x: lgn.pad + x,
+      y: lgn.pad + row * lgn.itmHeight,
+      textWidth: textWidth
+    };
+    if (vertical) {
+      row++;
+    }
+    else {
+      x += itemWidth + gap;
+    }
+  });
+  const rows = vertical || !g.allSeries.length ? g.allSeries.length : row + 1;
+  return {
+    positions: positions,
+    rows: rows,
+    rowsPerPage: Math.max(1, Math.floor(height / lgn.itmHeight))
+  };
+}
+
+// Show a page of legend items, the page is limited to the pages there are
+export function showLegendPage(g, page) {
+  const lgn = g.lgn;
+  if (!lgn.container) return;
+  g.legendPage = Math.max(0, Math.min(lgn.pages - 1, page || 0));
+  lgn.container.node().scrollTop = g.legendPage * lgn.rowsPerPage * lgn.itmHeight;
+  if (lgn.pager) {
+    lgn.pager.select(".ldwlgnpage")
+      .attr("title", "Page " + (g.legendPage + 1) + " of " + lgn.pages)
+      .text((g.legendPage + 1) + " / " + lgn.pages);
+    lgn.pager.select("#btnUp")
+      .property("disabled", g.legendPage == 0);
+    lgn.pager.select("#btnDown")
+      .property("disabled", g.legendPage >= lgn.pages - 1);
+  }
+}
+
+// Pager buttons and page indicator, shown when the items do not fit on one page
+export function createLegendPager(g, legend) {
+  const turnPage = function (step) {
+    if (g.self && g.self.$scope.options.interactionState === 2) {
+      return;
+    }
+    showLegendPage(g, g.legendPage + step);
+  };
+  g.lgn.pager = legend.append("div")
+    .attr("class", "btnContainer")
+    .style("display", "none");
+  const btnWrapper = g.lgn.pager.append("div")
+    .attr("class", "btnWrapper");
+  btnWrapper.append("button")
+    .attr("class", "ldwLgnBtn")
+    .attr("id", "btnUp")
+    .on("click", function () { turnPage(-1); });
+  btnWrapper.append("span")
+    .attr("class", "ldwlgnpage");
+  btnWrapper.append("button")
+    .attr("class", "ldwLgnBtn")
+    .attr("id", "btnDown")
+    .on("click", function () { turnPage(1); });
+
+  let wheelDelta = 0;
+  legend.on("wheel", function () {
+    const e = d3.event;
+    if (g.lgn.pages <= 1) return;
+    e.preventDefault();
+    wheelDelta += e.deltaMode ? e.deltaY * WHEEL_STEP : e.deltaY;
+    if (Math.abs(wheelDelta) >= WHEEL_STEP) {
+      turnPage(wheelDelta > 0 ? 1 : -1);
+      wheelDelta = 0;
+    }
+  });
+}
+
+/**
+ * Measure the labels and place the legend items
+ * Output:	g.lgn.positions (x, y and text width by series), g.lgn.rows,
+ *			g.lgn.rowsPerPage, g.lgn.pages
+ */
+export function layoutLegendItems(g) {
+  const lgn = g.lgn;
+  const svg = lgn.container.select(".ldwlgnitems");
+  const widths = measureLabels(g, svg);
+  const container = lgn.container.node();
+
+  lgn.pager.style("display", "none");
+  let layout = placeItems(g, widths, container.clientWidth, container.clientHeight);
+  if (layout.rows > layout.rowsPerPage) {
+    // The pager takes up space, so place the items again in the space that is left
+    lgn.pager.style("display", null);
+    layout = placeItems(g, widths, container.clientWidth, container.clientHeight);
+  }
+  lgn.positions = layout.positions;
+  lgn.rows = layout.rows;
+  lgn.rowsPerPage = layout.rowsPerPage;
+  lgn.pages = Math.max(1, Math.ceil(layout.rows / layout.rowsPerPage));
+  svg.style("height", (lgn.pages * lgn.rowsPerPage * lgn.itmHeight) + "px");
+  showLegendPage(g, g.legendPage);
+}
@@ -0,0 +1,51 @@
+/*
+ Marimekko layout, variable width 100% bars.
+
+ The width of each dim1 band is proportional to its total and the values within a
+ band are normalized to 100% by initData. Bands are placed in data order, starting
+ at the left (vertical) or at the top (horizontal). Axis ticks are placed at the
+ band centers and show the category name with its share of the grand total.
+ */
+
+import d3 from 'd3';
+
+const BAND_GAP = 2; // pixels between adjacent bands
+
+function bandTotal(d) {
+  return Math.max(0, d.offsetPos);
+}
+
+export function createMekkoScales(g) {
+  g.dScale = d3.scale.ordinal();
+  g.mekkoAxisScale = d3.scale.ordinal();
+}
+
+// Recompute band positions, the scale objects are kept so axes bound to them stay valid
+export function updateMekkoScales(g, extent) {
+  const total = d3.sum(g.data, bandTotal);
+  const starts = [], centers = [];
+  let pos = 0;
+
+  g.bandWidths = {};
+  g.bandShares = {};
+  g.data.forEach(function (d) {
+    const share = total ? bandTotal(d) / total : 0;
+    const width = share * extent;
+    starts.push(pos + Math.min(width, BAND_GAP) / 2);
+    centers.push(pos + width / 2);
+    g.bandWidths[d.dim1] = Math.max(0, width - BAND_GAP);
+    g.bandShares[d.dim1] = share;
+    pos += width;
+  });
+
+  const dim1 = g.data.map(function (d) { return d.dim1; });
+  g.dScale.domain(dim1).range(starts);
+  g.mekkoAxisScale.domain(dim1).range(centers);
+}
+
+export function mekkoTickFormat(g) {
+  const format = d3.format(".0%");
+  return function (dim1) {
+    return dim1 + " (" + format(g.bandShares[dim1] || 0) + ")";
+  };
+}
@@ -0,0 +1,65 @@
+/*
+ Number formatting with the number format of a measure (qNumFormat).
+
+ Supports the number patterns of Qlik Sense, like "#,##0.00", "$#,##0;($#,##0)"
+ or "0.0%", with the decimal and thousands separators of the format. Measures
+ without a number pattern (auto format, dates, durations) are shown with up to
+ two decimals.
+ */
+
+import d3 from 'd3';
+
+const NUMBER_TYPES = ['F', 'M', 'R', 'I'];
+
+function autoFormat(value) {
+  return d3.format(",")(Math.round(value * 100) / 100);
+}
+
+function formatPattern(value, pattern, decimalSep, thousandSep) {
+  const first = pattern.search(/[#0]/);
+  if (first == -1) {
+    return null;
+  }
+  let last = first;
+  for (let i = first; i < pattern.length; i++) {
+    if (/[#0]/.test(pattern.charAt(i))) {
+      last = i;
+    }
+  }
+  const prefix = pattern.slice(0, first);
+  const core = pattern.slice(first, last + 1);
+  const suffix = pattern.slice(last + 1);
+
+  const decimalIndex = core.indexOf(decimalSep);
+  const decimals = decimalIndex == -1 ? 0 : core.slice(decimalIndex + 1).replace(/[^#0]/g, "").length;
+  const integerPart = decimalIndex == -1 ? core : core.slice(0, decimalIndex);
+  const thousands = thousandSep && integerPart.indexOf(thousandSep) != -1;
+  const percent = (prefix + suffix).indexOf("%") != -1;
+
+  const parts = d3.format((thousands ? "," : "") + "." + decimals + "f")(percent ? value * 100 : value)
+    .split(".");
+  const text = parts[0].split(",").join(thousandSep) + (parts.length > 1 ? decimalSep + parts[1] : "");
+  return prefix + text + suffix;
+}
+
+// Value formatted with a qNumFormat, falls back to an automatic format
+export function formatNumber(value, numFormat) {
+  if (!Number.isFinite(value)) {
+    return "-";
+  }
+  if (!numFormat || !numFormat.qFmt || NUMBER_TYPES.indexOf(numFormat.qType) == -1) {
+    return autoFormat(value);
+  }
+  const sections = numFormat.qFmt.split(";");
+  const negativeSection = value < 0 && sections.length > 1;
+  const text = formatPattern(
+    negativeSection ? -value : Math.abs(value),
+    negativeSection ? sections[1] : sections[0],
+    numFormat.qDec || ".",
+    numFormat.qThou || ""
+  );
+  if (text === null) {
+    return autoFormat(value);
+  }
+  return value < 0 && !negativeSection ? "-" + text : text;
+}
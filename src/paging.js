@@ -0,0 +1,86 @@
+/*
+ Fetches the hypercube rows that do not fit in the initial data fetch.
+
+ The engine returns at most 10000 cells per data request, so each getData call asks
+ for one page and the page height depends on the number of columns. Pages can be
+ requested one at a time, the chart is then drawn again as each page arrives
+ (incremental), or all requests are sent at once and the chart is drawn when the
+ last one has arrived (all at once). Either way the rows are merged into one matrix
+ that is used as rawData.
+ */
+
+export const PAGING_NONE = 'N';
+export const PAGING_INCREMENTAL = 'I';
+export const PAGING_ALL = 'A';
+
+const MAX_CELLS_PER_PAGE = 10000;
+const DEFAULT_MAX_ROWS = 50000;
+
+function getPageHeight(width) {
+  return Math.floor(MAX_CELLS_PER_PAGE / Math.max(width, 1));
+}
+
+function getRowLimit(hyperCube, maxRows) {
+  const limit = +maxRows > 0 ? +maxRows : DEFAULT_MAX_ROWS;
+  return Math.min(hyperCube.qSize.qcy, limit);
+}
+
+function getLoadedMatrix(hyperCube) {
+  const page = hyperCube.qDataPages[0];
+  return page ? page.qMatrix : [];
+}
+
+export function needsPaging(hyperCube, mode, maxRows) {
+  if (mode === PAGING_NONE || !hyperCube.qSize) {
+    return false;
+  }
+  return getLoadedMatrix(hyperCube).length < getRowLimit(hyperCube, maxRows);
+}
+
+// Resolves to the merged matrix, onPage is called with the rows so far after each incremental page
+export function fetchPages(backendApi, hyperCube, mode, maxRows, onPage) {
+  const matrix = getLoadedMatrix(hyperCube).slice();
+  if (!backendApi || !needsPaging(hyperCube, mode, maxRows)) {
+    return Promise.resolve(matrix);
+  }
+
+  const width = hyperCube.qSize.qcx;
+  const pageHeight = getPageHeight(width);
+  const rowLimit = getRowLimit(hyperCube, maxRows);
+  const pages = [];
+  for (let top = matrix.length; top < rowLimit; top += pageHeight) {
+    pages.push({
+      qTop: top,
+      qLeft: 0,
+      qWidth: width,
+      qHeight: Math.min(pageHeight, rowLimit - top)
+    });
+  }
+
+  const appendPages = function (dataPages) {
+    dataPages.forEach(function (dataPage) {
+      matrix.push.apply(matrix, dataPage.qMatrix);
+    });
+  };
+
+  if (mode === PAGING_ALL) {
+    return Promise.all(pages.map(function (page) {
+      return backendApi.getData([page]);
+    })).then(function (results) {
+      results.forEach(appendPages);
+      return matrix;
+    });
+  }
+
+  // Incremental, request the next page only when the previous one has arrived
+  return pages.reduce(function (previous, page, i) {
+    return previous.then(function () {
+      return backendApi.getData([page]).then(function (dataPages) {
+        appendPages(dataPages);
+        if (onPage && i < pages.length - 1) onPage(matrix.slice());
+      });
+    });
+  }, Promise.resolve()).then(function () {
+    return matrix;
+  });
+}
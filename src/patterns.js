@@ -0,0 +1,96 @@
+/*
+ Pattern fills, so series can be told apart without color.
+
+ Each series gets a pattern by its position in the legend: the first series is solid,
+ the next ones are hatched, dotted or crosshatched. A pattern is drawn over the color
+ of the bar, with marks in black or white, whichever contrasts most with that color.
+ Patterns are defined once per pattern and color in a hidden svg of the chart, and
+ referenced by bars, delta polygons and legend swatches.
+ */
+
+import d3 from 'd3';
+import { contrastText } from './colorUtils';
+
+const PATTERN_SIZE = 8;
+
+const PATTERNS = [
+  null,
+  { path: "M-2,2 l4,-4 M0,8 l8,-8 M6,10 l4,-4" },
+  { dots: true },
+  { path: "M-2,2 l4,-4 M0,8 l8,-8 M6,10 l4,-4 M-2,6 l4,4 M0,0 l8,8 M6,-2 l4,4" },
+  { path: "M0,4 h8" },
+  { path: "M-2,6 l4,4 M0,0 l8,8 M6,-2 l4,4" },
+  { path: "M4,0 v8" }
+];
+
+function patternDefs(g) {
+  if (!g.patternDefs) {
+    g.patternDefs = g.component
+      .append("svg")
+      .attr("class", "ldwpatterns")
+      .attr("width", 0)
+      .attr("height", 0)
+      .style("position", "absolute")
+      .append("defs");
+    g.patternIds = {};
+  }
+  return g.patternDefs;
+}
+
+function createPattern(g, id, pattern, color) {
+  const mark = contrastText(color, g.backgroundColor);
+  const element = patternDefs(g)
+    .append("pattern")
+    .attr("id", id)
+    .attr("patternUnits", "userSpaceOnUse")
+    .attr("width", PATTERN_SIZE)
+    .attr("height", PATTERN_SIZE);
+  element.append("rect")
+    .attr("width", PATTERN_SIZE)
+    .attr("height", PATTERN_SIZE)
+    .style("fill", color);
+  if (pattern.dots) {
+    element.append("circle")
+      .attr("cx", PATTERN_SIZE / 2)
+      .attr("cy", PATTERN_SIZE / 2)
+      .attr("r", 1.5)
+      .style("fill", mark)
+      .style("opacity", "0.6");
+  }
+  else {
+    element.append("path")
+      .attr("d", pattern.path)
+      .style("stroke", mark)
+      .style("stroke-width", "1.5")
+      .style("opacity", "0.6");
+  }
+}
+
+// Fill of a series in a color, a pattern reference if patterns are on
+export function patternFill(g, color, series) {
+  const index = g.allSeries ? g.allSeries.indexOf(series) : -1;
+  const pattern = g.patterns && index >= 0 ? PATTERNS[index % PATTERNS.length] : null;
+  if (!pattern || !color) {
+    return color;
+  }
+  patternDefs(g);
+  const key = index % PATTERNS.length + "," + color;
+  let id = g.patternIds[key];
+  if (!id) {
+    id = g.id + "-ldwpattern-" + Object.keys(g.patternIds).length;
+    g.patternIds[key] = id;
+    createPattern(g, id, pattern, color);
+  }
+  return "url(#" + id + ")";
+}
+
+// Tween of a fill in a transition, patterns can not be interpolated so they are switched at once
+export function fillTween(fill) {
+  return function (d, i, a) {
+    const b = fill(d);
+    if (/^url\(/.test(b) || /^url\(/.test(a)) {
+      return function () { return b; };
+    }
+    return d3.interpolate(a, b);
+  };
+}
@@ -0,0 +1,76 @@
+/*
+ Styling of bars and legend entries by the selection state of their values.
+
+ Bars keep the qState of the cells of their dimension values (qStates). While the chart
+ is in selection mode, a bar is selected if its values are selected in every dimension
+ that has selected values, else it is faded as an alternative or excluded value. The
+ styles are derived from the data on every redraw, so they are also correct after the
+ selections are cleared, after back and forward, and after selections elsewhere.
+ */
+
+import d3 from 'd3';
+
+function isSelected(state) {
+  return state == 'S' || state == 'L' || state == 'XS' || state == 'XL';
+}
+
+// Dimensions that have selected values among the bars
+function selectedDims(data) {
+  const dims = [];
+  data.forEach(function (d) {
+    (d.qStates || []).forEach(function (state, dim) {
+      if (isSelected(state)) {
+        dims[dim] = true;
+      }
+    });
+  });
+  return dims;
+}
+
+// State of a bar: S - selected, L - selected and locked, A - alternative, X - excluded, O - optional
+export function barState(d, dims) {
+  const states = d.qStates || [];
+  let state = 'O';
+  for (let dim = 0; dim < states.length; dim++) {
+    if (!dims[dim]) continue;
+    if (!isSelected(states[dim])) {
+      return states[dim] && states[dim].charAt(0) == 'X' ? 'X' : 'A';
+    }
+    state = state == 'L' || states[dim] == 'L' || states[dim] == 'XL' ? 'L' : 'S';
+  }
+  return state;
+}
+
+export function renderStates(g) {
+  const active = !!g.inSelections;
+  if (g.svg && g.flatData) {
+    const dims = selectedDims(g.flatData);
+    g.svg.selectAll(".ldwbar")
+      .each(function (d) {
+        const state = active && d ? barState(d, dims) : 'O';
+        d3.select(this)
+          .classed("selected", state == 'S' || state == 'L')
+          .classed("ldwlocked", state == 'L')
+          .classed("ldwalternative", state == 'A')
+          .classed("ldwexcluded", state == 'X')
+          .attr("aria-pressed", active ? String(state == 'S' || state == 'L') : null);
+      });
+  }
+
+  // Legend entries of dimension values are selected with their value
+  const data = g.colorValues || g.flatData;
+  const seriesAreValues = g.defDims >= 2 || (g.defDims == 1 && g.defMeas == 1 && !g.waterfall);
+  if (g.lgn && g.lgn.use && !g.vScale && data && seriesAreValues) {
+    const dim = g.defDims >= 2 ? 1 : 0;
+    const selected = {};
+    data.forEach(function (d) {
+      if (d.qStates && isSelected(d.qStates[dim])) {
+        selected[d.series] = true;
+      }
+    });
+    g.component.selectAll(".ldwlgnitem")
+      .classed("selected", function (series) {
+        return active && Object.prototype.hasOwnProperty.call(selected, series);
+      });
+  }
+}
@@ -0,0 +1,74 @@
+/*
+ Explains why a chart is empty or incomplete.
+
+ getDataStatus inspects the raw hypercube data before it is processed. Blocking
+ statuses replace the chart with an overlay, non-blocking ones (truncated data)
+ are shown as a banner on top of the rendered chart.
+ */
+
+import d3 from 'd3';
+
+export const STATUS_EMPTY = 'empty';
+export const STATUS_MISMATCH = 'mismatch';
+export const STATUS_NULL_MEASURES = 'nullMeasures';
+export const STATUS_TRUNCATED = 'truncated';
+
+function hasNumericMeasure(rawData, firstMeasure) {
+  return rawData.some(function (row) {
+    return row.slice(firstMeasure).some(function (cell) {
+      return Number.isFinite(cell.qNum);
+    });
+  });
+}
+
+export function getDataStatus(g) {
+  if (!g.rawData || !g.rawData[0]) {
+    return {
+      type: STATUS_EMPTY,
+      blocking: true,
+      title: 'No data to display',
+      message: 'The current selections do not return any data.'
+    };
+  }
+  if (g.defDims + g.defMeas != g.rawData[0].length) {
+    return {
+      type: STATUS_MISMATCH,
+      blocking: true,
+      title: 'Invalid data',
+      message: 'The data does not match the defined dimensions and measures.'
+    };
+  }
+  if (!hasNumericMeasure(g.rawData, g.defDims)) {
+    return {
+      type: STATUS_NULL_MEASURES,
+      blocking: true,
+      title: 'No numeric values',
+      message: 'All measure values are null or not numeric.'
+    };
+  }
+  if (g.totalRows > g.rawData.length) {
+    return {
+      type: STATUS_TRUNCATED,
+      blocking: false,
+      title: 'Data truncated',
+      message: 'Showing ' + d3.format(",")(g.rawData.length) + ' of ' + d3.format(",")(g.totalRows) + ' rows.'
+    };
+  }
+  return null;
+}
+
+export function renderStatus(g) {
+  g.component.selectAll(".ldwstatus").remove();
+  if (!g.status) {
+    return;
+  }
+  const status = g.component.append("div")
+    .attr("class", g.status.blocking ? "ldwstatus ldwoverlay" : "ldwstatus ldwbanner")
+    .attr("title", g.status.message);
+  status.append("p")
+    .attr("class", "ldwstatustitle")
+    .text(g.status.title);
+  status.append("p")
+    .attr("class", "ldwstatusmsg")
+    .text(g.status.message);
+}
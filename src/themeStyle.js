@@ -0,0 +1,128 @@
+/*
+ Typography and axis styling from the applied theme.
+
+ The theme is read together with the color schemas. Its styles are applied through
+ a style element scoped to the chart, so they also apply to elements created later
+ by transitions (axis ticks, legend items, tooltips). Without a theme the styles
+ are the same as in barsPlus.less. Text colors are darkened or lightened where needed
+ to be readable on the chart background.
+ */
+
+import { ensureContrast } from './colorUtils';
+
+const defaultThemeStyle = {
+  fontFamily: 'sans-serif',
+  axisLabelSize: '12px',
+  axisLabelColor: 'black',
+  axisTitleSize: '12px',
+  axisTitleColor: 'black',
+  axisLineColor: 'black',
+  gridColor: '',
+  legendLabelSize: '12px',
+  legendLabelColor: 'black',
+  valueLabelColor: 'black',
+  tooltipBackground: '#404040',
+  tooltipColor: 'white'
+};
+
+let themeStyle = defaultThemeStyle;
+
+function getStyle(qTheme, path, attribute) {
+  if (typeof qTheme.getStyle !== 'function') {
+    return undefined;
+  }
+  try {
+    return qTheme.getStyle('object', path, attribute);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+export function updateThemeStyle(qTheme) {
+  const style = Object.assign({}, defaultThemeStyle);
+  const values = {
+    fontFamily: qTheme.properties.fontFamily,
+    axisLabelSize: getStyle(qTheme, 'axis.label.name', 'fontSize'),
+    axisLabelColor: getStyle(qTheme, 'axis.label.name', 'color'),
+    axisTitleSize: getStyle(qTheme, 'axis.title', 'fontSize'),
+    axisTitleColor: getStyle(qTheme, 'axis.title', 'color'),
+    axisLineColor: getStyle(qTheme, 'axis.line.major', 'color'),
+    gridColor: getStyle(qTheme, 'grid.line.major', 'color'),
+    legendLabelSize: getStyle(qTheme, 'legend.label', 'fontSize'),
+    legendLabelColor: getStyle(qTheme, 'legend.label', 'color'),
+    valueLabelColor: getStyle(qTheme, 'label.value', 'color'),
+    tooltipBackground: getStyle(qTheme, 'tooltip', 'backgroundColor'),
+    tooltipColor: getStyle(qTheme, 'tooltip', 'color')
+  };
+  Object.keys(values).forEach(key => {
+    if (values[key]) {
+      style[key] = values[key];
+    }
+  });
+  themeStyle = style;
+}
+
+export function getThemeStyle() {
+  return themeStyle;
+}
+
+function cssRule(selectors, declarations) {
+  const body = Object.keys(declarations)
+    .filter(property => declarations[property])
+    .map(property => property + ': ' + declarations[property] + ';')
+    .join(' ');
+  return selectors.join(', ') + ' { ' + body + ' }';
+}
+
+export function renderThemeStyle(g) {
+  const t = themeStyle;
+  const readable = color => ensureContrast(color, g.backgroundColor);
+  const scope = '[id="' + g.id + '"] ';
+  const rules = [
+    cssRule([scope + 'svg .ldwaxis text'], {
+      'font-family': t.fontFamily,
+      'font-size': t.axisLabelSize,
+      'fill': readable(t.axisLabelColor)
+    }),
+    cssRule([scope + 'svg .ldwaxis text.axisTitle'], {
+      'font-size': t.axisTitleSize,
+      'fill': readable(t.axisTitleColor)
+    }),
+    cssRule([scope + 'svg .ldwaxis path', scope + 'svg .ldwaxis line'], {
+      'stroke': t.axisLineColor
+    }),
+    cssRule([scope + '.ldwlgnitems text', scope + '.ldwcolorlegend text'], {
+      'font-family': t.fontFamily,
+      'font-size': t.legendLabelSize,
+      'fill': readable(t.legendLabelColor)
+    }),
+    cssRule([scope + 'svg .ldwtxt', scope + 'svg .ldwtxtref', scope + 'svg .ldwtot'], {
+      'font-family': t.fontFamily
+    }),
+    cssRule([scope + 'div.ldwtooltip'], {
+      'background-color': t.tooltipBackground
+    }),
+    cssRule([scope + 'div.ldwtooltip::after'], {
+      'border-color': t.tooltipBackground + ' transparent'
+    }),
+    cssRule([scope + 'div.ldwtooltip .ldwttheading', scope + 'div.ldwtooltip .ldwttvalue'], {
+      'font-family': t.fontFamily,
+      'color': t.tooltipColor
+    }),
+    cssRule([scope + '.ldwpaneltitle'], {
+      'font-family': t.fontFamily,
+      'color': readable(t.axisTitleColor)
+    }),
+    cssRule([scope + 'div.ldwstatus'], {
+      'font-family': t.fontFamily
+    })
+  ];
+  if (t.gridColor) {
+    rules.push(cssRule([scope + 'svg .ldwaxis .tick line'], {
+      'stroke': t.gridColor,
+      'opacity': '1'
+    }));
+  }
+  g.component.append("style")
+    .text(rules.join('\n'));
+}
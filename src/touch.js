@@ -0,0 +1,82 @@
+/*
+ Touch gestures on bars.
+
+ A tap on a bar shows its tooltip, a second tap on the same bar or a long press selects
+ its values, with the same selection as a click with the mouse. A touch that moves is a
+ swipe, it is left to the browser so the sheet or the page pans as usual. A tap outside
+ the bars hides the tooltip. Touches do not give the hover effect of the mouse.
+ */
+
+import d3 from 'd3';
+
+const LONG_PRESS = 500; // ms
+const TAP_TOLERANCE = 10; // px a tap may move
+
+// Add the gestures to a selection of bars, to be used with selection.call
+export function addTouchGestures(bars, g) {
+  let touch = null;
+
+  const cancel = function () {
+    if (touch) {
+      clearTimeout(touch.timer);
+    }
+    touch = null;
+  };
+  const select = function (d) {
+    g.tappedBar = null;
+    g.hideBarTooltip();
+    g.selectBar(d);
+  };
+
+  bars
+    .on("touchstart", function (d) {
+      cancel();
+      const touches = d3.event.touches;
+      if (g.editMode || touches.length != 1) return; // Pinches are left to the browser
+      touch = {
+        node: this,
+        x: touches[0].clientX,
+        y: touches[0].clientY,
+        pressed: false
+      };
+      touch.timer = setTimeout(function () {
+        touch.pressed = true;
+        select(d);
+      }, LONG_PRESS);
+    })
+    .on("touchmove", function () {
+      const point = d3.event.touches[0];
+      if (touch && (Math.abs(point.clientX - touch.x) > TAP_TOLERANCE
+        || Math.abs(point.clientY - touch.y) > TAP_TOLERANCE)) {
+        cancel();
+      }
+    })
+    .on("touchend", function (d) {
+      if (!touch || touch.node !== this) return;
+      const pressed = touch.pressed;
+      cancel();
+      d3.event.preventDefault(); // No mouse events and click after the tap
+      if (pressed) return;
+      if (g.tappedBar === d) {
+        select(d);
+      }
+      else {
+        g.tappedBar = d;
+        g.showBarTooltip(this, d, 0);
+      }
+    })
+    .on("touchcancel", cancel)
+    .on("contextmenu", function () {
+      // A long press opens a context menu on some devices
+      if (touch && touch.pressed) {
+        d3.event.preventDefault();
+      }
+    });
+
+  g.component.on("touchstart.ldwtap", function () {
+    if (g.tappedBar && !d3.select(d3.event.target).classed("ldwbar")) {
+      g.tappedBar = null;
+      g.hideBarTooltip();
+    }
+  });
+}
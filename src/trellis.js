@@ -0,0 +1,147 @@
+/*
+ Trellis (small multiples) layout by a third dimension.
+
+ The rows of each value of the third dimension are processed as a two dimensional
+ chart of their own (a panel). Panels are created with Object.create, so they inherit
+ all properties and methods of the chart hosting them, and are laid out in a grid
+ below or beside the shared legend. The measure axis is shared by all panels unless
+ independent scales are chosen.
+ */
+
+import d3 from 'd3';
+import { seriesColors } from './attributeColor';
+import { renderThemeStyle } from './themeStyle';
+
+export const TRELLIS_SCALE_SHARED = 'S';
+export const TRELLIS_SCALE_INDEPENDENT = 'I';
+
+const PANEL_TITLE_HEIGHT = 18;
+const PANEL_PAD = 10;
+
+export function isTrellis(g) {
+  return g.defDims == 3;
+}
+
+// Panels only show axis labels, the axis titles are the same for all of them
+function labelsOnly(labelTitle) {
+  return labelTitle == 'B' || labelTitle == 'L' ? 'L' : 'N';
+}
+
+export function trellisData(g) {
+  const groups = d3.nest()
+    .key(function (row) { return row[2].qText === undefined ? '' : row[2].qText; })
+    .entries(g.rawData);
+
+  const series = [];
+  g.panels = groups.map(function (group, i) {
+    const panel = Object.create(g);
+    panel.panels = null;
+    panel.svg = null;
+    panel.patternDefs = null;
+    panel.trellisHost = g;
+    panel.id = g.id + "-" + i;
+    panel.trellisValue = group.key;
+    panel.defDims = 2;
+    panel.totalRows = group.values.length;
+    panel.showLegend = false;
+    panel.labelTitleD = labelsOnly(g.labelTitleD);
+    panel.labelTitleM = labelsOnly(g.labelTitleM);
+    panel.rawData = group.values.map(function (row) { return row.slice(0, 2).concat(row.slice(3)); });
+    panel.initData();
+    (panel.allSeries || []).forEach(function (e) {
+      if (series.indexOf(e) == -1) {
+        series.push(e);
+      }
+    });
+    return panel;
+  });
+
+  // All panels use the series of the host, so colors are the same in every panel
+  const drawn = g.panels.filter(function (panel) { return !panel.status || !panel.status.blocking; });
+  const values = d3.merge(drawn.map(function (panel) { return panel.flatData; }));
+  const colors = seriesColors(values, series);
+  drawn.forEach(function (panel) {
+    panel.allSeries = series;
+    panel.allCol2 = colors;
+    panel.colorValues = values;
+  });
+  g.nDims = 2;
+  g.waterfall = false;
+  g.allSeries = series;
+  g.allCol2 = colors;
+  g.colorValues = values;
+}
+
+function shareExtent(panels) {
+  const drawn = panels.filter(function (panel) { return !panel.status || !panel.status.blocking; });
+  drawn.forEach(function (panel) {
+    panel.fixedExtent = null;
+    panel.updateExtent();
+  });
+  const extent = [
+    d3.min(drawn, function (panel) { return panel.min; }),
+    d3.max(drawn, function (panel) { return panel.max; })
+  ];
+  drawn.forEach(function (panel) {
+    panel.fixedExtent = extent;
+  });
+}
+
+export function refreshTrellis(g) {
+  g.component.selectAll("*").remove();
+  g.svg = null;
+  g.patternDefs = null;
+  renderThemeStyle(g);
+
+  // On IE11 g.height and g.width sometimes is "undefined" (Note: the actual string)
+  const width = !g.width || g.width === "undefined" ? 0 : +g.width;
+  const height = !g.height || g.height === "undefined" ? 0 : +g.height;
+  const layout = {
+    margin: { top: PANEL_PAD, right: PANEL_PAD, bottom: PANEL_PAD, left: PANEL_PAD },
+    innerWidth: width - 2 * PANEL_PAD,
+    innerHeight: height - 2 * PANEL_PAD,
+    xAxisSpace: 0,
+    yAxisSpace: 0,
+    pad: PANEL_PAD
+  };
+  g.layoutLegend(layout);
+  g.cScale = g.colorScale();
+  g.updateValueScale();
+  g.createLegend();
+
+  const n = g.panels.length;
+  const autoColumns = Math.ceil(Math.sqrt(n * Math.max(1, layout.innerWidth) / Math.max(1, layout.innerHeight)));
+  const columns = Math.max(1, Math.min(n, g.trellisColumns > 0 ? Math.floor(g.trellisColumns) : autoColumns));
+  const rows = Math.ceil(n / columns);
+  const cellWidth = Math.max(0, layout.innerWidth / columns);
+  const cellHeight = Math.max(0, layout.innerHeight / rows);
+
+  if (g.trellisScale == TRELLIS_SCALE_INDEPENDENT) {
+    g.panels.forEach(function (panel) { panel.fixedExtent = null; });
+  }
+  else {
+    shareExtent(g.panels);
+  }
+
+  g.panels.forEach(function (panel, i) {
+    const cell = g.component.append("div")
+      .attr("class", "ldwpanel")
+      .style("left", (layout.margin.left + (i % columns) * cellWidth) + "px")
+      .style("top", (layout.margin.top + Math.floor(i / columns) * cellHeight) + "px")
+      .style("width", cellWidth + "px")
+      .style("height", cellHeight + "px");
+    cell.append("div")
+      .attr("class", "ldwpaneltitle")
+      .attr("title", panel.trellisValue)
+      .text(panel.trellisValue);
+    panel.component = cell.append("div")
+      .attr("class", "ldwpanelchart")
+      .attr("id", panel.id);
+    panel.width = cellWidth;
+    panel.height = Math.max(0, cellHeight - PANEL_TITLE_HEIGHT);
+    panel.refreshChart();
+  });
+
+  g.updateLegend(0, 0);
+  g.updateStates();
+}
@@ -0,0 +1,104 @@
+/*
+ Stable colors per dimension value.
+
+ The color of a value is taken, in order of preference, from the value colors of a
+ master (library) dimension, from the value to color map in the properties, or from
+ a hash of the series into the color schema. The color of a value therefore does not
+ depend on which other values are in the current selection. Two values may hash to
+ the same color, give them colors in the properties to tell them apart. Value colors
+ of master dimensions are fetched once per color map, and again after the color map
+ has changed.
+ */
+
+import qlik from 'qlik';
+
+// Value colors by color map id, as promises
+const masterColorCache = {};
+
+// Dimension whose values are the legend entries, if any
+function getColorDimension(hyperCube) {
+  const dims = hyperCube.qDimensionInfo;
+  if (dims.length >= 2) {
+    return dims[1];
+  }
+  if (dims.length == 1 && hyperCube.qMeasureInfo.length == 1) {
+    return dims[0];
+  }
+  return null;
+}
+
+// Value colors of a master dimension, resolves to an empty map if there are none
+export function getMasterValueColors(component, layout) {
+  const dimension = getColorDimension(layout.qHyperCube);
+  const coloring = dimension && dimension.coloring;
+  if (!coloring || !coloring.colorMapRef || !coloring.hasValueColors) {
+    return Promise.resolve({});
+  }
+  const id = coloring.colorMapRef;
+  if (!masterColorCache[id]) {
+    const app = qlik.currApp(component);
+    masterColorCache[id] = app.model.enigmaModel.getObject("ColorMapModel_" + id)
+      .then(colorMapModel => {
+        // Fetch the colors again on the next paint after the master item is edited
+        colorMapModel.once("changed", () => {
+          delete masterColorCache[id];
+        });
+        return colorMapModel.getLayout();
+      })
+      .then(colorMapLayout => {
+        const colors = {};
+        (colorMapLayout.colorMap.colors || []).forEach(function (e) {
+          if (e.baseColor && e.baseColor.color) {
+            colors[e.value] = e.baseColor.color;
+          }
+        });
+        return colors;
+      })
+      .catch(() => {
+        delete masterColorCache[id]; // Try again on the next paint
+        return {};
+      });
+  }
+  return masterColorCache[id];
+}
+
+// Map from a property string like "North=#4477aa; South=orange"
+export function parseValueColors(text) {
+  const colors = {};
+  String(text || "").split(";").forEach(function (e) {
+    const i = e.lastIndexOf("=");
+    if (i > 0) {
+      colors[e.slice(0, i).trim()] = e.slice(i + 1).trim();
+    }
+  });
+  return colors;
+}
+
+function lookup(map, key) {
+  return Object.prototype.hasOwnProperty.call(map, key) ? map[key] : undefined;
+}
+
+function hash(text) {
+  let h = 5381;
+  for (let i = 0; i < text.length; i++) {
+    h = ((h << 5) + h + text.charCodeAt(i)) | 0;
+  }
+  return Math.abs(h);
+}
+
+// Color scale by series, colors of dimension values are looked up by the dim2 of the bars in data
+// The hash is of the series, so the same value of different measures gets different colors
+export function persistentColorScale(g, colorSchema, data) {
+  const masterColors = g.masterColors || {};
+  const propColors = parseValueColors(g.valueColors);
+  const values = {};
+  data.forEach(function (d) {
+    values[d.series] = d.dim2;
+  });
+  return function (series) {
+    const dim2 = lookup(values, series);
+    const value = dim2 === undefined ? series : dim2;
+    return lookup(masterColors, value) || lookup(propColors, value)
+      || colorSchema[hash(String(series)) % colorSchema.length];
+  };
+}
@@ -0,0 +1,118 @@
+/*
+ Waterfall layout for one dimension and one measure.
+
+ Each bar starts at the running total of the previous bars. Rows flagged by the
+ dimension attribute expression are drawn as subtotal bars from zero to the running
+ total, and an optional total bar is added at the end. Connectors are horizontal
+ lines from the end of one bar to the start of the next.
+ */
+
+import d3 from 'd3';
+import { getDefaultSingleColor } from './colorSchemas';
+import { getAttributeColor } from './attributeColor';
+
+export const SERIES_INCREASE = 'Increase';
+export const SERIES_DECREASE = 'Decrease';
+export const SERIES_TOTAL = 'Total';
+
+export const DEFAULT_INCREASE_COLOR = { index: -1, color: '#5a9e4b' };
+export const DEFAULT_DECREASE_COLOR = { index: -1, color: '#cc4444' };
+
+function isSubtotal(cell) {
+  const attrExps = cell.qAttrExps;
+  if (!attrExps || !attrExps.qValues[0]) {
+    return false;
+  }
+  const flag = attrExps.qValues[0].qNum;
+  return Number.isFinite(flag) && flag != 0;
+}
+
+export function waterfallData(g, inData) {
+  const format = d3.format([",.g", ",.0%", "s", g.totalFormatMs]["NPSC".indexOf(g.totalFormatM)]);
+  const struc = [], flatData = [], connectors = [];
+  let total = 0, prevEnd = 0;
+
+  const pushBar = function (dim1, series, start, num, qText, cell, color) {
+    const end = start + num;
+    struc.push({
+      dim1: dim1,
+      offsetPos: Math.max(0, start, end),
+      offsetNeg: Math.min(0, start, end),
+      totalPos: end >= 0 ? end : 0,
+      totalNeg: end < 0 ? end : 0
+    });
+    flatData.push({
+      dim1: dim1,
+      dim2: dim1,
+      series: series,
+      offset: start,
+      qNum: num,
+      qText: qText,
+      qTextPct: "",
+      qElemNumber: cell.qElemNumber,
+      qStates: [cell.qState],
+      color: color
+    });
+    if (struc.length > 1) {
+      connectors.push({ dim1p: struc[struc.length - 2].dim1, dim1c: dim1, value: prevEnd });
+    }
+    prevEnd = end;
+  };
+
+  inData.forEach(function (d) {
+    if (isSubtotal(d[0])) {
+      pushBar(d[0].qText, SERIES_TOTAL, 0, total, format(total), d[0]);
+      return;
+    }
+    const num = Number.isFinite(d[1].qNum) ? d[1].qNum : 0;
+    pushBar(d[0].qText, num < 0 ? SERIES_DECREASE : SERIES_INCREASE, total, num, d[1].qText, d[0],
+      getAttributeColor(d[1]));
+    total += num;
+  });
+  if (g.waterfallTotal !== false) {
+    pushBar(g.waterfallTotalLabel || SERIES_TOTAL, SERIES_TOTAL, 0, total, format(total), { qElemNumber: -1 });
+  }
+
+  const series = [SERIES_INCREASE, SERIES_DECREASE, SERIES_TOTAL].filter(function (e) {
+    return flatData.some(function (d) { return d.series == e; });
+  });
+
+  return { struc, flatData, connectors, series };
+}
+
+export function waterfallColors(g) {
+  const totalColor = g.waterfallTotColor || getDefaultSingleColor();
+  return d3.scale.ordinal()
+    .domain([SERIES_INCREASE, SERIES_DECREASE, SERIES_TOTAL])
+    .range([
+      (g.waterfallIncColor || DEFAULT_INCREASE_COLOR).color,
+      (g.waterfallDecColor || DEFAULT_DECREASE_COLOR).color,
+      totalColor.color
+    ]);
+}
+
+export function updateConnectors(g, tDelay, tDuration) {
+  const connectors = g.svg.selectAll('[id="' + g.id + '"] .ldwconn')
+    .data(g.showDeltas ? g.connectors : [], function (d) { return d.dim1p + "-" + d.dim1c; });
+
+  connectors.exit().remove();
+  connectors.enter()
+    .append("line")
+    .attr("class", "ldwconn")
+    .style("opacity", "0");
+
+  const from = function (d) { return g.barPos({ dim1: d.dim1p }) + g.barWidth({ dim1: d.dim1p }); };
+  const to = function (d) { return g.barPos({ dim1: d.dim1c }); };
+  const value = function (d) { return g.mScale(d.value); };
+  const vertical = g.orientation == "V";
+
+  connectors.transition()
+    .delay(tDelay)
+    .duration(tDuration)
+    .ease(g.ease)
+    .style("opacity", "1")
+    .attr("x1", vertical ? from : value)
+    .attr("x2", vertical ? to : value)
+    .attr("y1", vertical ? value : from)
+    .attr("y2", vertical ? value : to);
+}